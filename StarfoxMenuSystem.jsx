@@ -3,69 +3,650 @@
  * 
  * A comprehensive menu and level orchestration system inspired by Star Fox 64.
  * Handles main menu, options, wingman selection, mission briefings, results screens,
- * and branching campaign progression with IndexedDB persistence.
+ * the in-level pause menu and branching campaign progression with IndexedDB persistence.
  * 
  * @version 1.0.0
  * @license MIT
  */
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useContext, createContext, useId, forwardRef, useImperativeHandle, useMemo } from 'react';
 
 // ============================================================================
-// DATABASE LAYER - IndexedDB Persistence
+// STORAGE LAYER - Pluggable Persistence Adapters
 // ============================================================================
 
+/**
+ * A storage adapter is any object with four async methods over records that
+ * carry a string `id`:
+ * 
+ *   get(id)        -> record | null
+ *   put(record)    -> void
+ *   delete(id)     -> void
+ *   getAll()       -> record[]
+ * 
+ * Built-in adapters cover IndexedDB, localStorage and memory. Every
+ * persistence function below takes an optional adapter as its last argument
+ * and falls back to the shared default storage.
+ */
+
 const DB_NAME = 'StarfoxGameDB';
 const DB_VERSION = 1;
 const STORE_NAME = 'gameProgress';
 
-const openDatabase = () => {
+// Record keys inside the store
+const SETTINGS_KEY = 'settings';
+const LEGACY_PROGRESS_KEY = 'currentProgress';
+const BOSS_RUSH_TIMES_KEY = 'bossRushTimes';
+const LEVEL_RECORDS_KEY = 'levelRecords';
+const RUN_HISTORY_KEY = 'runHistory';
+const HIGH_SCORES_KEY = 'highScores';
+const DEFAULT_SLOT_COUNT = 3;
+const BOSS_RUSH_TIMES_LIMIT = 5;
+const RUN_HISTORY_LIMIT = 100;
+const HIGH_SCORE_LIMIT = 10;
+
+const getSlotKey = (slotId) => `slot-${slotId}`;
+
+const openDatabase = (dbName = DB_NAME, storeName = STORE_NAME) => {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    
+    const request = indexedDB.open(dbName, DB_VERSION);
     
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result);
     
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'id' });
       }
     };
   });
 };
 
-const saveGameProgress = async (progress) => {
-  const db = await openDatabase();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.put({ id: 'currentProgress', ...progress });
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
-  });
+const createIndexedDBStorage = ({ dbName = DB_NAME, storeName = STORE_NAME } = {}) => {
+  let dbPromise = null;
+  
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+  
+  const run = async (mode, operation) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([storeName], mode);
+      const request = operation(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+  
+  return {
+    get: async (id) => (await run('readonly', store => store.get(id))) || null,
+    put: async (record) => {
+      await run('readwrite', store => store.put(record));
+    },
+    delete: async (id) => {
+      await run('readwrite', store => store.delete(id));
+    },
+    getAll: async () => (await run('readonly', store => store.getAll())) || [],
+  };
 };
 
-const loadGameProgress = async () => {
-  const db = await openDatabase();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.get('currentProgress');
-    request.onsuccess = () => resolve(request.result || null);
-    request.onerror = () => reject(request.error);
+// Stores each record as JSON under `${namespace}:${id}` in a Web Storage object
+const createLocalStorageStorage = ({ namespace = DB_NAME, webStorage = globalThis.localStorage } = {}) => {
+  if (!webStorage) throw new Error('localStorage is not available');
+  
+  const prefix = `${namespace}:`;
+  
+  return {
+    get: async (id) => {
+      const value = webStorage.getItem(prefix + id);
+      return value === null ? null : JSON.parse(value);
+    },
+    put: async (record) => {
+      webStorage.setItem(prefix + record.id, JSON.stringify(record));
+    },
+    delete: async (id) => {
+      webStorage.removeItem(prefix + id);
+    },
+    getAll: async () => {
+      const records = [];
+      for (let i = 0; i < webStorage.length; i++) {
+        const key = webStorage.key(i);
+        if (key?.startsWith(prefix)) records.push(JSON.parse(webStorage.getItem(key)));
+      }
+      return records;
+    },
+  };
+};
+
+// Non-persistent storage for tests, SSR and locked-down browsers
+const createMemoryStorage = (initialRecords = []) => {
+  const records = new Map(initialRecords.map(record => [record.id, JSON.stringify(record)]));
+  
+  return {
+    get: async (id) => (records.has(id) ? JSON.parse(records.get(id)) : null),
+    put: async (record) => {
+      records.set(record.id, JSON.stringify(record));
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+    getAll: async () => Array.from(records.values(), value => JSON.parse(value)),
+  };
+};
+
+/**
+ * Uses IndexedDB where it works, then localStorage, then memory. The choice
+ * is made on first use by probing each backend, so private browsing modes
+ * that expose but refuse IndexedDB still end up with working storage.
+ */
+const createDefaultStorage = (namespace = DB_NAME) => {
+  const factories = [
+    () => createIndexedDBStorage({ dbName: namespace }),
+    () => createLocalStorageStorage({ namespace }),
+  ];
+  let resolved = null;
+  
+  const resolveStorage = () => {
+    if (!resolved) {
+      resolved = (async () => {
+        for (const factory of factories) {
+          try {
+            const storage = factory();
+            await storage.get(SETTINGS_KEY);
+            return storage;
+          } catch (error) {
+            console.warn('Storage backend unavailable, trying next:', error);
+          }
+        }
+        return createMemoryStorage();
+      })();
+    }
+    return resolved;
+  };
+  
+  return {
+    get: async (id) => (await resolveStorage()).get(id),
+    put: async (record) => (await resolveStorage()).put(record),
+    delete: async (id) => (await resolveStorage()).delete(id),
+    getAll: async () => (await resolveStorage()).getAll(),
+  };
+};
+
+let defaultStorage = null;
+
+const getDefaultStorage = () => {
+  if (!defaultStorage) defaultStorage = createDefaultStorage();
+  return defaultStorage;
+};
+
+// Progress is stored per save slot, stamped with the save schema version and
+// migrated on load. Slot 1 falls back to the single 'currentProgress' record
+// written by earlier versions.
+const saveGameProgress = async (progress, slotId = 1, storage = getDefaultStorage()) => {
+  await storage.put({
+    ...progress,
+    id: getSlotKey(slotId),
+    slotId,
+    savedAt: Date.now(),
+    schemaVersion: getSaveSchemaVersion(),
   });
 };
 
-const clearGameProgress = async () => {
-  const db = await openDatabase();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.delete('currentProgress');
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
+const loadGameProgress = async (slotId = 1, storage = getDefaultStorage()) => {
+  const saved = await storage.get(getSlotKey(slotId));
+  if (saved) return migrateSaveRecord(saved);
+  if (slotId !== 1) return null;
+  
+  const legacy = await storage.get(LEGACY_PROGRESS_KEY);
+  return legacy ? migrateSaveRecord({ ...legacy, id: getSlotKey(1), slotId: 1 }) : null;
+};
+
+const clearGameProgress = async (slotId = 1, storage = getDefaultStorage()) => {
+  await storage.delete(getSlotKey(slotId));
+  if (slotId === 1) await storage.delete(LEGACY_PROGRESS_KEY);
+};
+
+const copySaveSlot = async (fromSlotId, toSlotId, storage = getDefaultStorage()) => {
+  const progress = await loadGameProgress(fromSlotId, storage);
+  if (!progress) throw new Error(`Save slot ${fromSlotId} is empty`);
+  await saveGameProgress(progress, toSlotId, storage);
+};
+
+// Returns one entry per slot: { slotId, progress } with progress null when empty
+const listSaveSlots = async (slotCount = DEFAULT_SLOT_COUNT, storage = getDefaultStorage()) => {
+  const slotIds = Array.from({ length: slotCount }, (_, index) => index + 1);
+  const records = await Promise.all(slotIds.map(slotId => loadGameProgress(slotId, storage)));
+  return slotIds.map((slotId, index) => ({ slotId, progress: records[index] }));
+};
+
+// Options are shared by every slot
+const saveSettings = async (options, storage = getDefaultStorage()) => {
+  await storage.put({ id: SETTINGS_KEY, options });
+};
+
+const loadSettings = async (storage = getDefaultStorage()) => {
+  const settings = await storage.get(SETTINGS_KEY);
+  if (settings) return settings.options;
+  
+  const legacy = await storage.get(LEGACY_PROGRESS_KEY);
+  return legacy?.options || null;
+};
+
+// Stats records carry a schemaVersion like the slots, so save migrations
+// (a level rename, say) reach them too
+const loadStatsRecord = async (id, storage) => migrateSaveRecord(await storage.get(id));
+
+const saveStatsRecord = (record, storage) => storage.put({ ...record, schemaVersion: getSaveSchemaVersion() });
+
+// Boss Rush best times are kept apart from the save slots, fastest first
+const loadBossRushTimes = async (storage = getDefaultStorage()) => {
+  const record = await loadStatsRecord(BOSS_RUSH_TIMES_KEY, storage);
+  return record?.times || [];
+};
+
+/**
+ * Adds a cleared Boss Rush run { totalSeconds, stageSeconds, score, ... }
+ * to the best times. Returns { times, rank } where rank is the run's
+ * 0-based position, or -1 when it was too slow to be kept.
+ */
+const saveBossRushTime = async (entry, storage = getDefaultStorage()) => {
+  const times = [...await loadBossRushTimes(storage), entry]
+    .sort((a, b) => a.totalSeconds - b.totalSeconds)
+    .slice(0, BOSS_RUSH_TIMES_LIMIT);
+  
+  await saveStatsRecord({ id: BOSS_RUSH_TIMES_KEY, times }, storage);
+  return { times, rank: times.indexOf(entry) };
+};
+
+// Personal bests for every level, shared by all slots and runs
+const loadLevelRecords = async (storage = getDefaultStorage()) => {
+  const record = await loadStatsRecord(LEVEL_RECORDS_KEY, storage);
+  return record?.levels || {};
+};
+
+/**
+ * Folds one mission result into that level's personal bests. Returns
+ * { records, improved } with the updated records for every level and the
+ * fields that were beaten (see mergeLevelRecord).
+ */
+const recordLevelResult = async (levelId, results, storage = getDefaultStorage()) => {
+  const levels = await loadLevelRecords(storage);
+  const { record, improved } = mergeLevelRecord(levels[levelId], results);
+  const records = { ...levels, [levelId]: record };
+  
+  await saveStatsRecord({ id: LEVEL_RECORDS_KEY, levels: records }, storage);
+  return { records, improved };
+};
+
+// Archived runs, newest first (see createRunRecord)
+const loadRunHistory = async (storage = getDefaultStorage()) => {
+  const record = await loadStatsRecord(RUN_HISTORY_KEY, storage);
+  return record?.runs || [];
+};
+
+// Adds a finished or abandoned run, dropping the oldest beyond the limit
+const archiveRun = async (run, storage = getDefaultStorage()) => {
+  const runs = [run, ...await loadRunHistory(storage)].slice(0, RUN_HISTORY_LIMIT);
+  await saveStatsRecord({ id: RUN_HISTORY_KEY, runs }, storage);
+  return runs;
+};
+
+// High score tables keyed by getHighScoreKey(mode, difficulty), best first
+const loadHighScores = async (storage = getDefaultStorage()) => {
+  const record = await loadStatsRecord(HIGH_SCORES_KEY, storage);
+  return record?.tables || {};
+};
+
+/**
+ * Enters { mode, difficulty, initials, score } into its table. Returns
+ * { tables, rank } with rank the 0-based position, or -1 if it missed out.
+ */
+const saveHighScore = async ({ mode, difficulty, initials, score }, storage = getDefaultStorage()) => {
+  const tables = await loadHighScores(storage);
+  const key = getHighScoreKey(mode, difficulty);
+  const entry = { initials, score, date: Date.now() };
+  const table = [...(tables[key] || []), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, HIGH_SCORE_LIMIT);
+  
+  const updated = { ...tables, [key]: table };
+  await saveStatsRecord({ id: HIGH_SCORES_KEY, tables: updated }, storage);
+  return { tables: updated, rank: table.indexOf(entry) };
+};
+
+// ============================================================================
+// SAVE SCHEMA - Versioned Records and Migrations
+// ============================================================================
+
+/**
+ * Migrations keyed by the schema version they upgrade a record *to*.
+ * Records written before versioning have no schemaVersion and count as 1.
+ * 
+ * Version 2: per-slot records; options moved to the shared settings record
+ */
+const saveMigrations = new Map([
+  [2, ({ options, ...record }) => record],
+]);
+
+// The current schema version is the highest registered migration
+const getSaveSchemaVersion = () => Math.max(1, ...saveMigrations.keys());
+
+/**
+ * Registers a migration that upgrades a saved record to `version`. It sees
+ * both slot records and the stats records (level records, run history, Boss
+ * Rush times, high scores), so check `record.id` before reshaping one.
+ * Integrators should register theirs at startup, before the menu mounts,
+ * using versions above the current getSaveSchemaVersion().
+ */
+const registerSaveMigration = (version, migrate) => {
+  if (!Number.isInteger(version) || version < 2) {
+    throw new Error(`Save migration version must be an integer of 2 or more, got ${version}`);
+  }
+  if (typeof migrate !== 'function') {
+    throw new Error(`Save migration for version ${version} must be a function`);
+  }
+  if (saveMigrations.has(version)) {
+    throw new Error(`A save migration for version ${version} is already registered`);
+  }
+  saveMigrations.set(version, migrate);
+};
+
+// Runs every migration between the record's version and the current one
+const migrateSaveRecord = (record) => {
+  if (!record) return record;
+  
+  const fromVersion = record.schemaVersion || 1;
+  const targetVersion = getSaveSchemaVersion();
+  
+  if (fromVersion > targetVersion) {
+    console.warn(`Save record ${record.id} has schema version ${fromVersion}, newer than ${targetVersion}`);
+    return record;
+  }
+  
+  let migrated = record;
+  for (let version = fromVersion + 1; version <= targetVersion; version++) {
+    const migrate = saveMigrations.get(version);
+    if (migrate) migrated = migrate(migrated);
+    migrated = { ...migrated, schemaVersion: version };
+  }
+  return migrated;
+};
+
+/**
+ * Builds a migration that follows renamed level ids, e.g. { '2a': 'meteo' },
+ * through every place a level id is stored: a slot's current level, path,
+ * missions and interruptions, the level records and each archived run.
+ * Boss Rush times and high score tables hold no level ids.
+ */
+const createLevelRenameMigration = (renames) => {
+  const rename = id => renames[id] || id;
+  const renameKeys = object => Object.fromEntries(Object.entries(object || {}).map(([id, value]) => [rename(id), value]));
+  const renameMissions = missions => (missions || []).map(mission => ({ ...mission, levelId: rename(mission.levelId) }));
+  
+  return (record) => {
+    switch (record.id) {
+      case LEVEL_RECORDS_KEY:
+        return { ...record, levels: renameKeys(record.levels) };
+      case RUN_HISTORY_KEY:
+        return {
+          ...record,
+          runs: (record.runs || []).map(run => ({
+            ...run,
+            path: (run.path || []).map(rename),
+            missions: renameMissions(run.missions),
+          })),
+        };
+      case BOSS_RUSH_TIMES_KEY:
+      case HIGH_SCORES_KEY:
+        return record;
+      default:
+        return {
+          ...record,
+          currentLevel: rename(record.currentLevel),
+          completedLevels: (record.completedLevels || []).map(rename),
+          missions: renameMissions(record.missions),
+          interruptions: renameKeys(record.interruptions),
+        };
+    }
+  };
+};
+
+// ============================================================================
+// SAVE TRANSFER - Portable Export / Import
+// ============================================================================
+
+const SAVE_EXPORT_FORMAT = 'starfox-menu-save';
+
+// FNV-1a 32-bit hash; enough to catch truncated or hand-edited files
+const computeChecksum = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const isSlotRecordId = (id) => typeof id === 'string' && id.startsWith('slot-');
+
+// Fields of a save slot: the progress the menu saves plus what
+// saveGameProgress stamps on it. An imported slot keeps only these.
+const SLOT_RECORD_FIELDS = [
+  'slotId', 'savedAt', 'schemaVersion',
+  'currentLevel', 'completedLevels', 'selectedWingmen', 'totalScore', 'completedRuns',
+  'lastResults', 'activeUnlocks', 'missions', 'startedAt', 'difficulty', 'lives', 'interruptions',
+];
+
+const pickSlotFields = (slot) => Object.fromEntries(SLOT_RECORD_FIELDS
+  .filter(field => slot[field] !== undefined)
+  .map(field => [field, slot[field]]));
+
+// Stats records that travel with an export, and the field holding each
+// one's data. Nothing else is read back from a file's stats.
+const STATS_RECORD_FIELDS = {
+  [LEVEL_RECORDS_KEY]: { field: 'levels', list: false },
+  [BOSS_RUSH_TIMES_KEY]: { field: 'times', list: true },
+  [RUN_HISTORY_KEY]: { field: 'runs', list: true },
+  [HIGH_SCORES_KEY]: { field: 'tables', list: false },
+};
+
+const isStatsRecordId = (id) => Object.prototype.hasOwnProperty.call(STATS_RECORD_FIELDS, id);
+
+const isStatsRecordShape = (record) => {
+  const { field, list } = STATS_RECORD_FIELDS[record.id];
+  const value = record[field];
+  return list
+    ? Array.isArray(value)
+    : value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Collects every save slot, the shared options and any other stored records
+ * (stats) into a portable object with an integrity checksum.
+ */
+const exportSaveData = async (storage = getDefaultStorage()) => {
+  const records = await storage.getAll();
+  const slots = records.filter(record => isSlotRecordId(record.id)).map(migrateSaveRecord);
+  const legacy = records.find(record => record.id === LEGACY_PROGRESS_KEY);
+  
+  if (legacy && !slots.some(slot => slot.slotId === 1)) {
+    slots.push(migrateSaveRecord({ ...legacy, id: getSlotKey(1), slotId: 1 }));
+  }
+  
+  const data = {
+    slots: slots.sort((a, b) => a.slotId - b.slotId),
+    options: (await loadSettings(storage)) || null,
+    stats: records.filter(record => isStatsRecordId(record.id)).map(migrateSaveRecord),
+  };
+  
+  return {
+    format: SAVE_EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: getSaveSchemaVersion(),
+    data,
+    checksum: computeChecksum(JSON.stringify(data)),
+  };
+};
+
+// Triggers a browser download of exportSaveData() as a JSON file
+const downloadSaveData = async (filename = 'starfox-save.json', storage = getDefaultStorage()) => {
+  const exported = await exportSaveData(storage);
+  const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// One import problem; see validateSaveData
+const createSaveError = (code, message, params = {}) => ({ code, message, params });
+
+/**
+ * Checks imported save data against the campaign and wingman definitions.
+ * Returns a list of problems, each { code, message, params }; an empty
+ * list means valid. The menu shows t(`importError.${code}`, params) and
+ * `message` is the English text for logs.
+ */
+const validateSaveData = (data, {
+  campaign = CAMPAIGN_DATA,
+  wingmen = WINGMEN_DATA,
+  slotCount = DEFAULT_SLOT_COUNT,
+} = {}) => {
+  const errors = [];
+  const error = (code, message, params = {}) => errors.push(createSaveError(code, message, params));
+  const wingmanIds = wingmen.map(wingman => wingman.id);
+  
+  if (!Array.isArray(data?.slots)) {
+    error('NO_SLOT_LIST', 'Save file has no slot list');
+    return errors;
+  }
+  
+  data.slots.forEach((slot, index) => {
+    const slotLabel = String(slot?.slotId ?? index + 1);
+    const label = `Slot ${slotLabel}`;
+    const slotError = (code, message, params = {}) => error(code, `${label}: ${message}`, { slot: slotLabel, ...params });
+    
+    if (!Number.isInteger(slot?.slotId) || slot.slotId < 1 || slot.slotId > slotCount) {
+      slotError('INVALID_SLOT_NUMBER', `slot number must be between 1 and ${slotCount}`, { max: slotCount });
+      return;
+    }
+    if (data.slots.findIndex(other => other.slotId === slot.slotId) !== index) {
+      slotError('DUPLICATE_SLOT', 'appears more than once');
+    }
+    if (slot.currentLevel !== undefined && !campaign.levels[slot.currentLevel]) {
+      slotError('UNKNOWN_CURRENT_LEVEL', `unknown current level "${slot.currentLevel}"`, { level: String(slot.currentLevel) });
+    }
+    (slot.completedLevels || []).forEach((levelId) => {
+      if (!campaign.levels[levelId]) {
+        slotError('UNKNOWN_COMPLETED_LEVEL', `unknown completed level "${levelId}"`, { level: String(levelId) });
+      }
+    });
+    (slot.selectedWingmen || []).forEach((wingmanId) => {
+      if (!wingmanIds.includes(wingmanId)) {
+        slotError('UNKNOWN_WINGMAN', `unknown wingman "${wingmanId}"`, { wingman: String(wingmanId) });
+      }
+    });
+    if (slot.totalScore !== undefined && !(Number.isFinite(slot.totalScore) && slot.totalScore >= 0)) {
+      slotError('INVALID_TOTAL_SCORE', 'total score must be a non-negative number');
+    }
+    if (slot.completedRuns !== undefined && !(Number.isInteger(slot.completedRuns) && slot.completedRuns >= 0)) {
+      slotError('INVALID_COMPLETED_RUNS', 'completed runs must be a non-negative integer');
+    }
+    if (slot.activeUnlocks !== undefined && !Array.isArray(slot.activeUnlocks)) {
+      slotError('INVALID_ACTIVE_UNLOCKS', 'active unlocks must be a list');
+    }
+    if (slot.lives !== undefined && slot.lives !== null && !(Number.isInteger(slot.lives) && slot.lives >= 0)) {
+      slotError('INVALID_LIVES', 'lives must be a non-negative integer');
+    }
+    Object.keys(slot.interruptions || {}).forEach((levelId) => {
+      if (!campaign.levels[levelId]) {
+        slotError('UNKNOWN_ABORTED_LEVEL', `unknown aborted level "${levelId}"`, { level: levelId });
+      }
+    });
   });
+  
+  if (data.options !== null && data.options !== undefined && typeof data.options !== 'object') {
+    error('INVALID_OPTIONS', 'Options must be an object');
+  }
+  if (data.stats !== undefined && !Array.isArray(data.stats)) {
+    error('INVALID_STATS', 'Stats must be a list of records');
+  } else {
+    (data.stats || []).forEach((record) => {
+      if (!isStatsRecordId(record?.id)) {
+        error('UNKNOWN_STATS_RECORD', `Unknown stats record "${record?.id}"`, { record: String(record?.id) });
+      } else if (!isStatsRecordShape(record)) {
+        error('MALFORMED_STATS_RECORD', `Stats record "${record.id}" is malformed`, { record: record.id });
+      }
+    });
+  }
+  
+  return errors;
+};
+
+/**
+ * Parses the text of an exported save file. Returns { data, errors }: the
+ * migrated data when the file is intact, and a list of problems otherwise.
+ */
+const parseSaveData = (text, validationContext) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { data: null, errors: [createSaveError('NOT_JSON', 'File is not valid JSON')] };
+  }
+  
+  if (parsed?.format !== SAVE_EXPORT_FORMAT) {
+    return { data: null, errors: [createSaveError('NOT_SAVE_EXPORT', 'File is not a save export')] };
+  }
+  if (computeChecksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+    return { data: null, errors: [createSaveError('CHECKSUM_MISMATCH', 'Checksum mismatch: the file is damaged or was edited')] };
+  }
+  if (parsed.schemaVersion > getSaveSchemaVersion()) {
+    const message = `Save was made by a newer version (schema ${parsed.schemaVersion})`;
+    return { data: null, errors: [createSaveError('NEWER_SCHEMA', message, { version: parsed.schemaVersion })] };
+  }
+  
+  const data = {
+    ...parsed.data,
+    slots: Array.isArray(parsed.data?.slots) ? parsed.data.slots.map(migrateSaveRecord) : parsed.data?.slots,
+    stats: Array.isArray(parsed.data?.stats)
+      ? parsed.data.stats.map(record => (isStatsRecordId(record?.id) ? migrateSaveRecord(record) : record))
+      : parsed.data?.stats,
+  };
+  
+  return { data, errors: validateSaveData(data, validationContext) };
+};
+
+// Writes validated import data, replacing the slots it contains, the options
+// and the known stats records. Slots keep only SLOT_RECORD_FIELDS and stats
+// records only their own data field.
+const importSaveData = async (data, storage = getDefaultStorage()) => {
+  await Promise.all(data.slots.map(slot => storage.put({ ...pickSlotFields(slot), id: getSlotKey(slot.slotId) })));
+  if (data.options) await saveSettings(data.options, storage);
+  await Promise.all((data.stats || [])
+    .filter(record => isStatsRecordId(record?.id) && isStatsRecordShape(record))
+    .map((record) => {
+      const { field } = STATS_RECORD_FIELDS[record.id];
+      return saveStatsRecord({ id: record.id, [field]: record[field] }, storage);
+    }));
 };
 
 // ============================================================================
@@ -73,74 +654,160 @@ const clearGameProgress = async () => {
 // ============================================================================
 
 const CAMPAIGN_DATA = {
+  // Level the first mission of a new run starts on
+  startLevel: '1',
+  
+  // Characters who speak in comms lines without being wingmen
+  speakers: {
+    fox: { name: 'FOX McCLOUD', portrait: '🦊' },
+    pepper: { name: 'GENERAL PEPPER', portrait: '🐶' },
+  },
+  
+  // Names, subtitles and descriptions may be one string per language
+  // (see localizeText). `comms` holds radio lines for the briefing, the
+  // results (complete / failed) and the campaign map after the level.
   levels: {
     '1': {
       id: '1',
       name: 'CORNERIA',
-      subtitle: 'The Adventure Begins',
-      description: 'Enemy forces have invaded Corneria. Destroy the attack carrier!',
+      subtitle: { en: 'The Adventure Begins', es: 'Comienza la aventura' },
+      description: {
+        en: 'Enemy forces have invaded Corneria. Destroy the attack carrier!',
+        es: 'Las fuerzas enemigas han invadido Corneria. ¡Destruye el portaaviones de ataque!',
+      },
       difficulty: 1,
       nextChoices: ['2a', '2b'],
       environment: 'city',
+      scoring: { parSeconds: 240, rankThresholds: { S: 18000, A: 14000, B: 10000, C: 6000 } },
+      comms: {
+        briefing: [
+          {
+            speaker: 'pepper',
+            text: {
+              en: 'Star Fox, Andross has declared war! Corneria City is under attack.',
+              es: '¡Star Fox, Andross ha declarado la guerra! Ciudad Corneria está bajo ataque.',
+            },
+          },
+          { speaker: 'fox', text: { en: 'All aircraft, report!', es: '¡Todas las naves, informen!' } },
+        ],
+        complete: [
+          {
+            speaker: 'pepper',
+            text: {
+              en: 'Good work, Star Fox. The skies over Corneria are clear.',
+              es: 'Buen trabajo, Star Fox. El cielo de Corneria está despejado.',
+            },
+          },
+        ],
+        failed: [
+          { speaker: 'pepper', text: { en: 'Fall back, Fox! We will regroup.', es: '¡Retírate, Fox! Nos reagruparemos.' } },
+        ],
+        map: [
+          {
+            speaker: 'peppy',
+            text: {
+              en: 'Meteo is the long way round, Fox. Sector Y is the hard way.',
+              es: 'Meteo es el camino largo, Fox. Sector Y es el camino difícil.',
+            },
+          },
+        ],
+      },
     },
     '2a': {
       id: '2a',
       name: 'METEO',
-      subtitle: 'Asteroid Field',
-      description: 'Navigate the treacherous asteroid belt. Watch for enemy ambushes!',
+      subtitle: { en: 'Asteroid Field', es: 'Campo de asteroides' },
+      description: {
+        en: 'Navigate the treacherous asteroid belt. Watch for enemy ambushes!',
+        es: 'Cruza el traicionero cinturón de asteroides. ¡Cuidado con las emboscadas!',
+      },
       difficulty: 2,
       nextChoices: ['3'],
       environment: 'space',
+      scoring: { parSeconds: 270, rankThresholds: { S: 19000, A: 15000, B: 11000, C: 7000 } },
     },
     '2b': {
       id: '2b',
       name: 'SECTOR Y',
-      subtitle: 'Combat Zone',
-      description: 'Heavy enemy resistance detected. Eliminate all hostiles!',
+      subtitle: { en: 'Combat Zone', es: 'Zona de combate' },
+      description: {
+        en: 'Heavy enemy resistance detected. Eliminate all hostiles!',
+        es: 'Se detecta una fuerte resistencia enemiga. ¡Elimina a todos los hostiles!',
+      },
       difficulty: 3,
       nextChoices: ['3'],
       environment: 'space',
+      scoring: { parSeconds: 270, rankThresholds: { S: 20000, A: 16000, B: 12000, C: 7500 } },
     },
     '3': {
       id: '3',
       name: 'AQUAS',
-      subtitle: 'Terror of the Deep',
-      description: 'Dive into the ocean depths. Destroy the bioweapon!',
+      subtitle: { en: 'Terror of the Deep', es: 'Terror de las profundidades' },
+      description: {
+        en: 'Dive into the ocean depths. Destroy the bioweapon!',
+        es: 'Sumérgete en las profundidades del océano. ¡Destruye el arma biológica!',
+      },
       difficulty: 3,
       nextChoices: ['4a', '4b'],
       environment: 'underwater',
+      scoring: { parSeconds: 300, rankThresholds: { S: 20000, A: 16000, B: 12000, C: 7500 } },
     },
     '4a': {
       id: '4a',
       name: 'ZONESS',
-      subtitle: 'Toxic Wasteland',
-      description: 'The polluted seas hide a secret base. Find and destroy it!',
+      subtitle: { en: 'Toxic Wasteland', es: 'Páramo tóxico' },
+      description: {
+        en: 'The polluted seas hide a secret base. Find and destroy it!',
+        es: 'Los mares contaminados ocultan una base secreta. ¡Encuéntrala y destrúyela!',
+      },
       difficulty: 4,
       nextChoices: ['5'],
       environment: 'toxic',
+      scoring: { parSeconds: 300, rankThresholds: { S: 21000, A: 17000, B: 13000, C: 8000 } },
     },
     '4b': {
       id: '4b',
       name: 'MACBETH',
-      subtitle: 'The Forever Train',
-      description: 'Stop the weapons train before it reaches the supply depot!',
+      subtitle: { en: 'The Forever Train', es: 'El tren sin fin' },
+      description: {
+        en: 'Stop the weapons train before it reaches the supply depot!',
+        es: '¡Detén el tren de armas antes de que llegue al depósito de suministros!',
+      },
       difficulty: 4,
       nextChoices: ['5'],
       environment: 'industrial',
+      scoring: { parSeconds: 300, rankThresholds: { S: 21000, A: 17000, B: 13000, C: 8000 } },
     },
     '5': {
       id: '5',
       name: 'VENOM',
-      subtitle: 'The Final Battle',
-      description: 'Andross awaits. This is the ultimate showdown!',
+      subtitle: { en: 'The Final Battle', es: 'La batalla final' },
+      description: {
+        en: 'Andross awaits. This is the ultimate showdown!',
+        es: 'Andross te espera. ¡Este es el enfrentamiento definitivo!',
+      },
       difficulty: 5,
       nextChoices: [],
       environment: 'fortress',
+      scoring: { parSeconds: 360, rankThresholds: { S: 22000, A: 18000, B: 14000, C: 9000 } },
+      comms: {
+        briefing: [
+          {
+            speaker: 'pepper',
+            text: {
+              en: 'This is it, Star Fox. Andross is waiting for you on Venom.',
+              es: 'Ha llegado la hora, Star Fox. Andross te espera en Venom.',
+            },
+          },
+        ],
+      },
       isFinal: true,
     },
   },
   
-  // Visual positions for the campaign map (percentage-based)
+  // Optional visual positions for the campaign map (percentage-based).
+  // Levels without one are placed automatically; map paths always follow
+  // nextChoices.
   mapPositions: {
     '1': { x: 10, y: 50 },
     '2a': { x: 30, y: 25 },
@@ -151,17 +818,17 @@ const CAMPAIGN_DATA = {
     '5': { x: 90, y: 50 },
   },
   
-  // Path connections for rendering
-  connections: [
-    { from: '1', to: '2a' },
-    { from: '1', to: '2b' },
-    { from: '2a', to: '3' },
-    { from: '2b', to: '3' },
-    { from: '3', to: '4a' },
-    { from: '3', to: '4b' },
-    { from: '4a', to: '5' },
-    { from: '4b', to: '5' },
-  ],
+  // Optional Boss Rush: a linear run through boss encounters, each
+  // replaying the boss fight of one level
+  bossRush: {
+    stages: [
+      { levelId: '1', boss: 'ATTACK CARRIER', description: { en: 'The carrier fleet over Corneria City.', es: 'La flota de portaaviones sobre Ciudad Corneria.' } },
+      { levelId: '2a', boss: 'METEO CRUSHER', description: { en: 'A fortress hidden in the asteroid belt.', es: 'Una fortaleza oculta en el cinturón de asteroides.' } },
+      { levelId: '3', boss: 'BACOON', description: { en: 'The bioweapon lurking in the deep.', es: 'El arma biológica que acecha en las profundidades.' } },
+      { levelId: '4a', boss: 'SARUMARINE', description: { en: 'The submarine guarding the toxic seas.', es: 'El submarino que vigila los mares tóxicos.' } },
+      { levelId: '5', boss: 'ANDROSS', description: { en: 'The mad scientist himself.', es: 'El mismísimo científico loco.' } },
+    ],
+  },
 };
 
 const WINGMEN_DATA = [
@@ -169,28 +836,49 @@ const WINGMEN_DATA = [
     id: 'falco',
     name: 'FALCO LOMBARDI',
     callsign: 'ACE',
-    specialty: 'Offensive Support',
-    description: 'Hot-headed pilot with unmatched aerial combat skills.',
+    specialty: { en: 'Offensive Support', es: 'Apoyo ofensivo' },
+    description: {
+      en: 'Hot-headed pilot with unmatched aerial combat skills.',
+      es: 'Piloto impulsivo con una habilidad sin igual en el combate aéreo.',
+    },
     stats: { attack: 5, defense: 2, support: 3 },
     portrait: '🦅',
+    comms: {
+      briefing: [{ speaker: 'falco', text: { en: 'Try to keep up this time, Fox.', es: 'Intenta no quedarte atrás esta vez, Fox.' } }],
+      down: [{ speaker: 'falco', text: { en: "I'm hit! You owe me one, Fox!", es: '¡Me han dado! ¡Me debes una, Fox!' } }],
+    },
   },
   {
     id: 'peppy',
     name: 'PEPPY HARE',
     callsign: 'VETERAN',
-    specialty: 'Tactical Advice',
-    description: 'Veteran pilot. Provides strategic guidance during missions.',
+    specialty: { en: 'Tactical Advice', es: 'Consejo táctico' },
+    description: {
+      en: 'Veteran pilot. Provides strategic guidance during missions.',
+      es: 'Piloto veterano. Ofrece consejos estratégicos durante las misiones.',
+    },
     stats: { attack: 3, defense: 3, support: 5 },
     portrait: '🐰',
+    comms: {
+      briefing: [{ speaker: 'peppy', text: { en: 'Use the boost to get through!', es: '¡Usa el impulso para pasar!' } }],
+      down: [{ speaker: 'peppy', text: { en: "I've been hit! Don't worry about me, Fox!", es: '¡Me han alcanzado! ¡No te preocupes por mí, Fox!' } }],
+    },
   },
   {
     id: 'slippy',
     name: 'SLIPPY TOAD',
     callsign: 'TECH',
-    specialty: 'Enemy Analysis',
-    description: 'Technical genius. Reveals enemy shield gauges.',
+    specialty: { en: 'Enemy Analysis', es: 'Análisis enemigo' },
+    description: {
+      en: 'Technical genius. Reveals enemy shield gauges.',
+      es: 'Genio técnico. Muestra los escudos de los enemigos.',
+    },
     stats: { attack: 2, defense: 4, support: 4 },
     portrait: '🐸',
+    comms: {
+      briefing: [{ speaker: 'slippy', text: { en: "Scanners online. I'll read out their shields!", es: '¡Escáneres activos! ¡Te diré cuánto escudo les queda!' } }],
+      down: [{ speaker: 'slippy', text: { en: "Fox! I can't hold it! I'm going down!", es: '¡Fox! ¡No aguanto más! ¡Me estrello!' } }],
+    },
   },
 ];
 
@@ -198,436 +886,4546 @@ const WINGMEN_DATA = [
 // NEW GAME PLUS FEATURES
 // ============================================================================
 
+// Keyed by the number of completed runs that earns each unlock. Unlocks
+// with modifiers can be switched on before a run (see UNLOCK EFFECTS).
 const NEW_GAME_PLUS_UNLOCKS = {
-  1: { name: 'Expert Mode', description: 'Enemies deal 50% more damage' },
-  2: { name: 'Hyper Laser', description: 'Start with upgraded weapons' },
-  3: { name: 'Stealth Mode', description: 'Reduced enemy detection range' },
-  4: { name: 'Boss Rush', description: 'Fight all bosses in sequence' },
-  5: { name: 'Mirror Mode', description: 'All levels are mirrored' },
-};
-
-// ============================================================================
-// STYLES - Retro-Futuristic N64 Aesthetic
-// ============================================================================
-
-const styles = {
-  // Base container with CRT-style effects
-  container: {
-    position: 'fixed',
-    inset: 0,
-    background: 'linear-gradient(180deg, #0a0a12 0%, #1a1a2e 50%, #0a0a12 100%)',
-    fontFamily: '"Orbitron", "Audiowide", "Rajdhani", sans-serif',
-    color: '#e0e0e0',
-    overflow: 'hidden',
-  },
-  
-  // Scanline overlay effect
-  scanlines: {
-    position: 'absolute',
-    inset: 0,
-    background: `repeating-linear-gradient(
-      0deg,
-      transparent,
-      transparent 2px,
-      rgba(0, 0, 0, 0.15) 2px,
-      rgba(0, 0, 0, 0.15) 4px
-    )`,
-    pointerEvents: 'none',
-    zIndex: 1000,
-  },
-  
-  // Vignette effect
-  vignette: {
-    position: 'absolute',
-    inset: 0,
-    background: 'radial-gradient(ellipse at center, transparent 0%, rgba(0,0,0,0.6) 100%)',
-    pointerEvents: 'none',
-    zIndex: 999,
-  },
-  
-  // Screen content wrapper
-  screenContent: {
-    position: 'relative',
-    width: '100%',
-    height: '100%',
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    justifyContent: 'center',
-    padding: '2rem',
-    boxSizing: 'border-box',
-    zIndex: 1,
+  1: {
+    name: { en: 'Expert Mode', es: 'Modo experto' },
+    description: { en: 'Enemies deal 50% more damage, scores x1.5', es: 'Los enemigos hacen un 50 % más de daño, puntuación x1,5' },
+    modifiers: { enemyDamageMultiplier: 1.5, scoreMultiplier: 1.5 },
   },
-  
-  // Title styling
-  title: {
-    fontSize: 'clamp(2rem, 6vw, 4rem)',
-    fontWeight: 900,
-    textTransform: 'uppercase',
-    letterSpacing: '0.3em',
-    background: 'linear-gradient(180deg, #FFD700 0%, #FF8C00 50%, #FF4500 100%)',
-    WebkitBackgroundClip: 'text',
-    WebkitTextFillColor: 'transparent',
-    backgroundClip: 'text',
-    textShadow: '0 0 30px rgba(255, 165, 0, 0.5)',
-    marginBottom: '0.5rem',
-    textAlign: 'center',
-  },
-  
-  subtitle: {
-    fontSize: 'clamp(0.8rem, 2vw, 1.2rem)',
-    color: '#00ff88',
-    letterSpacing: '0.5em',
-    textTransform: 'uppercase',
-    marginBottom: '3rem',
-    textAlign: 'center',
-  },
-  
-  // Menu button styling
-  menuButton: {
-    background: 'linear-gradient(180deg, rgba(30, 60, 90, 0.8) 0%, rgba(20, 40, 60, 0.9) 100%)',
-    border: '2px solid #00ff88',
-    borderRadius: '4px',
-    padding: '1rem 3rem',
-    margin: '0.5rem',
-    color: '#00ff88',
-    fontSize: '1.1rem',
-    fontFamily: 'inherit',
-    fontWeight: 700,
-    letterSpacing: '0.2em',
-    textTransform: 'uppercase',
-    cursor: 'pointer',
-    transition: 'all 0.2s ease',
-    minWidth: '280px',
-    position: 'relative',
-    overflow: 'hidden',
-  },
-  
-  menuButtonHover: {
-    background: 'linear-gradient(180deg, rgba(0, 255, 136, 0.3) 0%, rgba(0, 200, 100, 0.2) 100%)',
-    boxShadow: '0 0 20px rgba(0, 255, 136, 0.5), inset 0 0 20px rgba(0, 255, 136, 0.1)',
-    transform: 'scale(1.02)',
-  },
-  
-  menuButtonDisabled: {
-    opacity: 0.4,
-    cursor: 'not-allowed',
-    border: '2px solid #444',
-    color: '#666',
+  2: {
+    name: { en: 'Hyper Laser', es: 'Hiperláser' },
+    description: { en: 'Start with upgraded weapons', es: 'Empiezas con las armas mejoradas' },
+    modifiers: { startingWeapon: 'hyperLaser' },
   },
-  
-  // Panel styling
-  panel: {
-    background: 'linear-gradient(180deg, rgba(20, 30, 50, 0.95) 0%, rgba(10, 20, 35, 0.98) 100%)',
-    border: '2px solid #00ff88',
-    borderRadius: '8px',
-    padding: '2rem',
-    maxWidth: '800px',
-    width: '90%',
-    boxShadow: '0 0 40px rgba(0, 255, 136, 0.2), inset 0 0 60px rgba(0, 0, 0, 0.5)',
+  3: {
+    name: { en: 'Stealth Mode', es: 'Modo sigilo' },
+    description: { en: 'Reduced enemy detection range', es: 'Los enemigos te detectan desde más cerca' },
+    modifiers: { enemyDetectionMultiplier: 0.5 },
   },
-  
-  // Card styling for wingmen/levels
-  card: {
-    background: 'linear-gradient(180deg, rgba(30, 50, 70, 0.9) 0%, rgba(20, 35, 50, 0.95) 100%)',
-    border: '2px solid #3388ff',
-    borderRadius: '8px',
-    padding: '1.5rem',
-    margin: '0.5rem',
-    cursor: 'pointer',
-    transition: 'all 0.3s ease',
-    flex: 1,
-    minWidth: '200px',
+  4: {
+    name: 'Boss Rush',
+    description: { en: 'Fight all bosses in sequence', es: 'Lucha contra todos los jefes seguidos' },
+    mode: 'bossRush',
   },
-  
-  cardSelected: {
-    border: '2px solid #FFD700',
-    boxShadow: '0 0 30px rgba(255, 215, 0, 0.4), inset 0 0 20px rgba(255, 215, 0, 0.1)',
+  5: {
+    name: { en: 'Mirror Mode', es: 'Modo espejo' },
+    description: { en: 'All levels are mirrored', es: 'Todos los niveles están reflejados' },
+    modifiers: { mirroredLevels: true },
   },
+};
+
+// ============================================================================
+// UNLOCK EFFECTS - New Game+ Modifiers
+// ============================================================================
+
+const multiply = (a, b) => a * b;
+
+/**
+ * How each modifier type starts and how two unlocks setting the same type
+ * combine. Hosts can add their own with registerUnlockModifier; a modifier
+ * of an unregistered type is passed through with the last unlock winning.
+ */
+const unlockModifierTypes = new Map([
+  ['enemyDamageMultiplier', { defaultValue: 1, combine: multiply }],
+  ['enemyDetectionMultiplier', { defaultValue: 1, combine: multiply }],
+  ['scoreMultiplier', { defaultValue: 1, combine: multiply }],
+  ['startingWeapon', { defaultValue: null, combine: (a, b) => b }],
+  ['mirroredLevels', { defaultValue: false, combine: (a, b) => a || b }],
+]);
+
+const registerUnlockModifier = (type, { defaultValue, combine }) => {
+  unlockModifierTypes.set(type, { defaultValue, combine });
+};
+
+// Unlocks earned after the given number of completed runs, as [id, unlock]
+const getEarnedUnlocks = (unlockTable, completedRuns) => (
+  Object.entries(unlockTable).filter(([id]) => parseInt(id) <= completedRuns)
+);
+
+// Whether an earned unlock opens the given game mode, e.g. 'bossRush'
+const hasUnlockedMode = (unlockTable, completedRuns, mode) => (
+  getEarnedUnlocks(unlockTable, completedRuns).some(([, unlock]) => unlock.mode === mode)
+);
+
+// Earned unlocks that change gameplay and so can be toggled for a run
+const getToggleableUnlocks = (unlockTable, completedRuns) => (
+  getEarnedUnlocks(unlockTable, completedRuns)
+    .filter(([, unlock]) => unlock.modifiers && Object.keys(unlock.modifiers).length > 0)
+);
+
+/**
+ * Folds the modifiers of the active unlocks into one object holding every
+ * registered type, e.g. { enemyDamageMultiplier: 1.5, scoreMultiplier: 1.5,
+ * startingWeapon: null, mirroredLevels: false, ... }.
+ */
+const resolveUnlockModifiers = (unlockTable, activeUnlockIds = []) => {
+  const modifiers = {};
+  unlockModifierTypes.forEach(({ defaultValue }, type) => {
+    modifiers[type] = defaultValue;
+  });
   
-  // Stats bar
-  statBar: {
-    height: '8px',
-    background: 'rgba(0, 0, 0, 0.5)',
-    borderRadius: '4px',
-    overflow: 'hidden',
-    margin: '4px 0',
-  },
+  activeUnlockIds.forEach((id) => {
+    Object.entries(unlockTable[id]?.modifiers || {}).forEach(([type, value]) => {
+      const modifierType = unlockModifierTypes.get(type);
+      modifiers[type] = modifierType ? modifierType.combine(modifiers[type], value) : value;
+    });
+  });
   
-  statFill: {
-    height: '100%',
-    background: 'linear-gradient(90deg, #00ff88 0%, #00cc66 100%)',
-    transition: 'width 0.5s ease',
+  return modifiers;
+};
+
+// ============================================================================
+// GAME DATA CONTEXT - Campaign, Roster and Unlocks
+// ============================================================================
+
+/**
+ * The campaign, wingman roster and New Game+ unlocks in use. Screens read
+ * them from context so a host can supply its own through props or a JSON
+ * manifest; the module constants above are the defaults.
+ */
+const DEFAULT_GAME_DATA = {
+  campaign: CAMPAIGN_DATA,
+  wingmen: WINGMEN_DATA,
+  unlocks: NEW_GAME_PLUS_UNLOCKS,
+};
+
+const GameDataContext = createContext(DEFAULT_GAME_DATA);
+
+const useGameData = () => useContext(GameDataContext);
+
+// First level of a run; falls back to the first level declared
+const getStartLevel = (campaign) => campaign.startLevel || Object.keys(campaign.levels)[0];
+
+/**
+ * Fetches a JSON manifest of the form { campaign, wingmen, unlocks }.
+ * Any section may be omitted to keep the built-in default.
+ */
+const loadGameManifest = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load game manifest ${url}: ${response.status}`);
+  }
+  return response.json();
+};
+
+// ============================================================================
+// LOCALIZATION - String Tables, Plurals and Number Formats
+// ============================================================================
+
+/**
+ * Menu text keyed by string id, per language. Ids are BCP 47 tags so they
+ * also pick the number, date and plural rules. A string may hold {name}
+ * placeholders, and an object of plural forms ({ one, other, ... }) is
+ * chosen by the `count` parameter. Ids missing from a language fall back to
+ * English. dir is 'rtl' for right-to-left scripts.
+ */
+const LOCALES = {
+  en: {
+    name: 'English',
+    dir: 'ltr',
+    strings: {
+      'common.back': 'Back',
+      'common.cancel': 'Cancel',
+      'common.confirm': 'Confirm',
+      'common.continue': 'Continue',
+      'common.retry': 'Retry',
+      'common.mainMenu': 'Main Menu',
+      'common.loading': 'Loading...',
+      'common.empty': 'EMPTY',
+      'common.on': 'ON',
+      'common.off': 'OFF',
+      'common.slot': 'SLOT {slot}',
+      'common.points': '{score} PTS',
+      'common.newGamePlusTier': 'NG+ {tier}',
+      'common.difficulty': 'Difficulty',
+      'common.score': 'Score',
+      'common.rank': 'Rank',
+      'common.accuracy': 'Accuracy',
+      'common.time': 'Time',
+      'common.hits': 'Hits',
+      'common.finalScore': 'FINAL SCORE',
+      
+      'difficulty.normal': 'Normal',
+      'difficulty.hard': 'Hard',
+      'difficulty.expert': 'Expert',
+      'mode.campaign': 'Campaign',
+      'mode.bossRush': 'Boss Rush',
+      'medal.gold': 'Gold',
+      'medal.silver': 'Silver',
+      'medal.bronze': 'Bronze',
+      
+      'mainMenu.title': 'STAR SQUADRON',
+      'mainMenu.tagline': 'Combat Evolved',
+      'mainMenu.newGame': 'New Game',
+      'mainMenu.bossRush': 'Boss Rush',
+      'mainMenu.records': 'Records',
+      'mainMenu.options': 'Options',
+      'mainMenu.newGamePlusUnlocked': 'NEW GAME+ UNLOCKED',
+      'mainMenu.runsCompleted': { one: '{count} run completed', other: '{count} runs completed' },
+      
+      'saveSlots.newGame': 'NEW GAME',
+      'saveSlots.continue': 'CONTINUE',
+      'saveSlots.select': 'Select a save slot',
+      'saveSlots.selectCopyTarget': 'Select a slot to copy SLOT {slot} into',
+      'saveSlots.confirmOverwrite': 'Overwrite SLOT {slot} with a new game?',
+      'saveSlots.confirmDelete': 'Delete SLOT {slot}? This cannot be undone.',
+      'saveSlots.confirmCopy': 'Copy SLOT {slot} over SLOT {target}?',
+      'saveSlots.noMissions': 'No missions completed',
+      'saveSlots.copy': 'Copy',
+      'saveSlots.delete': 'Delete',
+      
+      'options.title': 'OPTIONS',
+      'options.masterVolume': 'Master Volume',
+      'options.musicVolume': 'Music Volume',
+      'options.sfxVolume': 'SFX Volume',
+      'options.voiceVolume': 'Voice Volume',
+      'options.showFPS': 'Show FPS',
+      'options.screenShake': 'Screen Shake',
+      'options.subtitles': 'Subtitles',
+      'options.reducedMotion': 'Reduce Motion & Effects',
+      'options.language': 'Language',
+      'options.saveData': 'Save Data',
+      'options.export': 'Export',
+      'options.import': 'Import',
+      
+      'importSave.title': 'IMPORT SAVE',
+      'importSave.review': 'Review before overwriting',
+      'importSave.rejected': 'Save file rejected',
+      'importSave.noSlots': 'The file contains no save slots.',
+      'importSave.optionsReplaced': 'Options will be replaced',
+      'importSave.statsRestored': { one: '{count} stat record will be restored', other: '{count} stat records will be restored' },
+      'importSave.slotsUnchanged': 'Slots not listed above are left unchanged',
+      'importSave.overwrite': 'Overwrite',
+      
+      'importError.NOT_JSON': 'The file is not valid JSON.',
+      'importError.NOT_SAVE_EXPORT': 'The file is not a save export.',
+      'importError.CHECKSUM_MISMATCH': 'Checksum mismatch: the file is damaged or was edited.',
+      'importError.NEWER_SCHEMA': 'The save was made by a newer version (schema {version}).',
+      'importError.READ_FAILED': 'Could not read the file: {reason}',
+      'importError.NO_SLOT_LIST': 'The save file has no slot list.',
+      'importError.INVALID_SLOT_NUMBER': 'Slot {slot}: the slot number must be between 1 and {max}.',
+      'importError.DUPLICATE_SLOT': 'Slot {slot} appears more than once.',
+      'importError.UNKNOWN_CURRENT_LEVEL': 'Slot {slot}: unknown current level "{level}".',
+      'importError.UNKNOWN_COMPLETED_LEVEL': 'Slot {slot}: unknown completed level "{level}".',
+      'importError.UNKNOWN_ABORTED_LEVEL': 'Slot {slot}: unknown aborted level "{level}".',
+      'importError.UNKNOWN_WINGMAN': 'Slot {slot}: unknown wingman "{wingman}".',
+      'importError.INVALID_TOTAL_SCORE': 'Slot {slot}: the total score must be a non-negative number.',
+      'importError.INVALID_COMPLETED_RUNS': 'Slot {slot}: completed runs must be a non-negative whole number.',
+      'importError.INVALID_ACTIVE_UNLOCKS': 'Slot {slot}: active unlocks must be a list.',
+      'importError.INVALID_LIVES': 'Slot {slot}: lives must be a non-negative whole number.',
+      'importError.INVALID_OPTIONS': 'The options must be an object.',
+      'importError.INVALID_STATS': 'The stats must be a list of records.',
+      'importError.UNKNOWN_STATS_RECORD': 'Unknown stats record "{record}".',
+      'importError.MALFORMED_STATS_RECORD': 'The stats record "{record}" is malformed.',
+      
+      'newGamePlus.title': 'NEW GAME+',
+      'newGamePlus.subtitle': 'Choose the unlocks active for this run',
+      
+      'wingmen.title': 'SELECT YOUR WINGMEN',
+      'wingmen.subtitle': { one: 'Choose {count} pilot to join your squadron', other: 'Choose {count} pilots to join your squadron' },
+      'wingmen.attack': 'ATK',
+      'wingmen.defense': 'DEF',
+      'wingmen.support': 'SUP',
+      'wingmen.confirm': 'Confirm Team ({selected}/{count})',
+      
+      'mission.briefing': 'Mission Briefing',
+      'mission.yourBest': 'Your Best',
+      'mission.cleared': 'Cleared {clears}/{attempts}',
+      'mission.squadron': 'Squadron',
+      'mission.leaderName': 'FOX McCLOUD',
+      'mission.leaderRole': 'Team Leader',
+      'mission.launch': 'Launch Mission',
+      
+      'comms.label': 'Radio comms',
+      
+      'results.complete': 'MISSION COMPLETE',
+      'results.failed': 'MISSION FAILED',
+      'results.newRecord': 'NEW RECORD',
+      'results.squadronStatus': 'Squadron Status',
+      'results.wingmanOk': '{name}: OK',
+      'results.wingmanDown': '{name}: DOWN',
+      'results.bonuses': 'Bonuses',
+      'results.rank': 'RANK',
+      'results.breakdown': 'Score Breakdown',
+      'results.base': 'Base',
+      'results.total': 'Total',
+      'results.announceComplete': 'Mission complete: {level}. Score {score}, rank {rank}.',
+      'results.announceFailed': 'Mission failed: {level}. Score {score}.',
+      'breakdown.accuracy': 'Accuracy',
+      'breakdown.time': 'Time',
+      'breakdown.wingmen': 'Wingmen',
+      'breakdown.difficulty': 'Difficulty ({difficulty})',
+      'breakdown.newGamePlus': 'New Game+',
+      
+      'campaignChoice.title': 'CHOOSE YOUR PATH',
+      'campaignChoice.subtitle': 'Select your next destination',
+      'campaignChoice.lockedTitle': '{name} - locked: {reasons}',
+      'campaignChoice.bestRank': 'Best rank {rank}',
+      'campaignChoice.routeLocked': 'ROUTE LOCKED',
+      'campaignChoice.available': 'Available Missions',
+      'campaignChoice.map': 'Campaign map',
+      'campaignChoice.nodeCompleted': '{name}, completed',
+      'campaignChoice.nodeCurrent': '{name}, current mission',
+      'campaignChoice.nodeAvailable': '{name}, available',
+      'campaignChoice.nodeLocked': '{name}, locked',
+      
+      'requirements.noResults': 'No mission results recorded',
+      'requirements.rank': 'Rank {required} or better (got {actual})',
+      'requirements.score': 'Score {required} or more (got {actual})',
+      'requirements.accuracy': 'Accuracy {required}% or more (got {actual}%)',
+      'requirements.bonus': 'Earn the "{bonus}" bonus',
+      'requirements.wingmen': 'Keep all wingmen alive (lost {names})',
+      
+      'gameComplete.title': 'VICTORY',
+      'gameComplete.subtitle': 'The Lylat System is saved!',
+      'gameComplete.pathTaken': 'Path Taken',
+      'gameComplete.newUnlock': '🎉 NEW UNLOCK',
+      'gameComplete.allUnlocks': 'All Unlocks',
+      'gameComplete.newGamePlus': 'New Game+',
+      
+      'highScores.title': 'HIGH SCORES',
+      'highScores.table': '{mode} • {difficulty}',
+      'highScores.newHighScore': 'NEW HIGH SCORE',
+      'highScores.initials': 'Initials {initials}',
+      'highScores.end': 'End',
+      
+      'records.title': 'RECORDS',
+      'records.runTimeline': 'RUN TIMELINE',
+      'records.runsCleared': 'Runs Cleared',
+      'records.abandoned': 'Abandoned',
+      'records.playTime': 'Play Time',
+      'records.bestScore': 'Best Score',
+      'records.favouriteRoute': 'Favourite route:',
+      'records.runHistory': 'Run History',
+      'records.noRuns': 'No finished runs yet.',
+      'records.cleared': 'CLEARED',
+      'records.abandonedTag': 'ABANDONED',
+      'records.squad': 'Squad:',
+      'records.difficulty': 'Difficulty: {difficulty}',
+      'records.duration': 'Duration: {time}',
+      'records.finalScore': 'FINAL SCORE {score}',
+      'records.abandonedAt': 'ABANDONED AT {score}',
+      
+      'bossRush.title': 'BOSS RUSH',
+      'bossRush.stage': 'Stage {stage} of {total}',
+      'bossRush.stageClear': 'STAGE CLEAR — {time}',
+      'bossRush.totalTime': 'Total Time',
+      'bossRush.best': 'Best {time}',
+      'bossRush.warning': 'No saves between stages. Losing a stage ends the run.',
+      'bossRush.abandon': 'Abandon Run',
+      'bossRush.nextStage': 'Next Stage',
+      'bossRush.launch': 'Launch',
+      'bossRush.clear': 'BOSS RUSH CLEAR',
+      'bossRush.failed': 'BOSS RUSH FAILED',
+      'bossRush.newBest': 'New best time!',
+      'bossRush.bosses': 'Bosses',
+      'bossRush.bestTimes': 'Best Times',
+      
+      'pause.title': 'PAUSED',
+      'pause.resume': 'Resume',
+      'pause.restart': 'Restart Mission',
+      'pause.options': 'Options',
+      'pause.abortToMap': 'Abort to Map',
+      'pause.abortToBriefing': 'Abort to Briefing',
+      'pause.abortToMenu': 'Abort to Main Menu',
+      'pause.confirmRestart': 'Restart the mission? Progress in this attempt will be lost.',
+      'pause.confirmAbort': 'Abort the mission? Progress in this attempt will be lost.',
+    },
   },
   
-  // Results screen specific
-  resultsGrid: {
-    display: 'grid',
-    gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
-    gap: '1rem',
-    width: '100%',
-    marginBottom: '2rem',
+  es: {
+    name: 'Español',
+    dir: 'ltr',
+    strings: {
+      'common.back': 'Volver',
+      'common.cancel': 'Cancelar',
+      'common.confirm': 'Confirmar',
+      'common.continue': 'Continuar',
+      'common.retry': 'Reintentar',
+      'common.mainMenu': 'Menú principal',
+      'common.loading': 'Cargando...',
+      'common.empty': 'VACÍA',
+      'common.on': 'SÍ',
+      'common.off': 'NO',
+      'common.slot': 'RANURA {slot}',
+      'common.points': '{score} PTS',
+      'common.newGamePlusTier': 'NG+ {tier}',
+      'common.difficulty': 'Dificultad',
+      'common.score': 'Puntuación',
+      'common.rank': 'Rango',
+      'common.accuracy': 'Precisión',
+      'common.time': 'Tiempo',
+      'common.hits': 'Impactos',
+      'common.finalScore': 'PUNTUACIÓN FINAL',
+      
+      'difficulty.normal': 'Normal',
+      'difficulty.hard': 'Difícil',
+      'difficulty.expert': 'Experto',
+      'mode.campaign': 'Campaña',
+      'mode.bossRush': 'Boss Rush',
+      'medal.gold': 'Oro',
+      'medal.silver': 'Plata',
+      'medal.bronze': 'Bronce',
+      
+      'mainMenu.title': 'STAR SQUADRON',
+      'mainMenu.tagline': 'Combate evolucionado',
+      'mainMenu.newGame': 'Nueva partida',
+      'mainMenu.bossRush': 'Boss Rush',
+      'mainMenu.records': 'Récords',
+      'mainMenu.options': 'Opciones',
+      'mainMenu.newGamePlusUnlocked': 'NEW GAME+ DESBLOQUEADO',
+      'mainMenu.runsCompleted': { one: '{count} partida completada', other: '{count} partidas completadas' },
+      
+      'saveSlots.newGame': 'NUEVA PARTIDA',
+      'saveSlots.continue': 'CONTINUAR',
+      'saveSlots.select': 'Elige una ranura de guardado',
+      'saveSlots.selectCopyTarget': 'Elige dónde copiar la RANURA {slot}',
+      'saveSlots.confirmOverwrite': '¿Sobrescribir la RANURA {slot} con una partida nueva?',
+      'saveSlots.confirmDelete': '¿Borrar la RANURA {slot}? No se puede deshacer.',
+      'saveSlots.confirmCopy': '¿Copiar la RANURA {slot} sobre la RANURA {target}?',
+      'saveSlots.noMissions': 'Ninguna misión completada',
+      'saveSlots.copy': 'Copiar',
+      'saveSlots.delete': 'Borrar',
+      
+      'options.title': 'OPCIONES',
+      'options.masterVolume': 'Volumen general',
+      'options.musicVolume': 'Volumen de la música',
+      'options.sfxVolume': 'Volumen de los efectos',
+      'options.voiceVolume': 'Volumen de las voces',
+      'options.showFPS': 'Mostrar FPS',
+      'options.screenShake': 'Temblor de pantalla',
+      'options.subtitles': 'Subtítulos',
+      'options.reducedMotion': 'Reducir movimiento y efectos',
+      'options.language': 'Idioma',
+      'options.saveData': 'Datos guardados',
+      'options.export': 'Exportar',
+      'options.import': 'Importar',
+      
+      'importSave.title': 'IMPORTAR PARTIDA',
+      'importSave.review': 'Revísalo antes de sobrescribir',
+      'importSave.rejected': 'Archivo de guardado rechazado',
+      'importSave.noSlots': 'El archivo no contiene ranuras de guardado.',
+      'importSave.optionsReplaced': 'Se sustituirán las opciones',
+      'importSave.statsRestored': { one: 'Se restaurará {count} registro de estadísticas', other: 'Se restaurarán {count} registros de estadísticas' },
+      'importSave.slotsUnchanged': 'Las ranuras que no aparecen arriba no cambian',
+      'importSave.overwrite': 'Sobrescribir',
+      
+      'importError.NOT_JSON': 'El archivo no es JSON válido.',
+      'importError.NOT_SAVE_EXPORT': 'El archivo no es una exportación de partida.',
+      'importError.CHECKSUM_MISMATCH': 'La suma de comprobación no coincide: el archivo está dañado o se ha editado.',
+      'importError.NEWER_SCHEMA': 'La partida se creó con una versión más reciente (esquema {version}).',
+      'importError.READ_FAILED': 'No se pudo leer el archivo: {reason}',
+      'importError.NO_SLOT_LIST': 'El archivo de guardado no tiene lista de ranuras.',
+      'importError.INVALID_SLOT_NUMBER': 'Ranura {slot}: el número de ranura debe estar entre 1 y {max}.',
+      'importError.DUPLICATE_SLOT': 'La ranura {slot} aparece más de una vez.',
+      'importError.UNKNOWN_CURRENT_LEVEL': 'Ranura {slot}: nivel actual desconocido "{level}".',
+      'importError.UNKNOWN_COMPLETED_LEVEL': 'Ranura {slot}: nivel completado desconocido "{level}".',
+      'importError.UNKNOWN_ABORTED_LEVEL': 'Ranura {slot}: nivel abandonado desconocido "{level}".',
+      'importError.UNKNOWN_WINGMAN': 'Ranura {slot}: compañero desconocido "{wingman}".',
+      'importError.INVALID_TOTAL_SCORE': 'Ranura {slot}: la puntuación total debe ser un número no negativo.',
+      'importError.INVALID_COMPLETED_RUNS': 'Ranura {slot}: las partidas completadas deben ser un número entero no negativo.',
+      'importError.INVALID_ACTIVE_UNLOCKS': 'Ranura {slot}: los desbloqueos activos deben ser una lista.',
+      'importError.INVALID_LIVES': 'Ranura {slot}: las vidas deben ser un número entero no negativo.',
+      'importError.INVALID_OPTIONS': 'Las opciones deben ser un objeto.',
+      'importError.INVALID_STATS': 'Las estadísticas deben ser una lista de registros.',
+      'importError.UNKNOWN_STATS_RECORD': 'Registro de estadísticas desconocido "{record}".',
+      'importError.MALFORMED_STATS_RECORD': 'El registro de estadísticas "{record}" está mal formado.',
+      
+      'newGamePlus.title': 'NEW GAME+',
+      'newGamePlus.subtitle': 'Elige los desbloqueos activos en esta partida',
+      
+      'wingmen.title': 'ELIGE A TUS COMPAÑEROS',
+      'wingmen.subtitle': { one: 'Elige {count} piloto para tu escuadrón', other: 'Elige {count} pilotos para tu escuadrón' },
+      'wingmen.attack': 'ATQ',
+      'wingmen.defense': 'DEF',
+      'wingmen.support': 'APY',
+      'wingmen.confirm': 'Confirmar equipo ({selected}/{count})',
+      
+      'mission.briefing': 'Informe de misión',
+      'mission.yourBest': 'Tu mejor marca',
+      'mission.cleared': 'Superada {clears}/{attempts}',
+      'mission.squadron': 'Escuadrón',
+      'mission.leaderName': 'FOX McCLOUD',
+      'mission.leaderRole': 'Líder del equipo',
+      'mission.launch': 'Iniciar misión',
+      
+      'comms.label': 'Comunicaciones por radio',
+      
+      'results.complete': 'MISIÓN CUMPLIDA',
+      'results.failed': 'MISIÓN FALLIDA',
+      'results.newRecord': 'NUEVO RÉCORD',
+      'results.squadronStatus': 'Estado del escuadrón',
+      'results.wingmanOk': '{name}: BIEN',
+      'results.wingmanDown': '{name}: DERRIBADO',
+      'results.bonuses': 'Bonificaciones',
+      'results.rank': 'RANGO',
+      'results.breakdown': 'Desglose de la puntuación',
+      'results.base': 'Base',
+      'results.total': 'Total',
+      'results.announceComplete': 'Misión cumplida: {level}. Puntuación {score}, rango {rank}.',
+      'results.announceFailed': 'Misión fallida: {level}. Puntuación {score}.',
+      'breakdown.accuracy': 'Precisión',
+      'breakdown.time': 'Tiempo',
+      'breakdown.wingmen': 'Compañeros',
+      'breakdown.difficulty': 'Dificultad ({difficulty})',
+      'breakdown.newGamePlus': 'New Game+',
+      
+      'campaignChoice.title': 'ELIGE TU RUTA',
+      'campaignChoice.subtitle': 'Elige tu próximo destino',
+      'campaignChoice.lockedTitle': '{name} - bloqueada: {reasons}',
+      'campaignChoice.bestRank': 'Mejor rango {rank}',
+      'campaignChoice.routeLocked': 'RUTA BLOQUEADA',
+      'campaignChoice.available': 'Misiones disponibles',
+      'campaignChoice.map': 'Mapa de la campaña',
+      'campaignChoice.nodeCompleted': '{name}, completada',
+      'campaignChoice.nodeCurrent': '{name}, misión actual',
+      'campaignChoice.nodeAvailable': '{name}, disponible',
+      'campaignChoice.nodeLocked': '{name}, bloqueada',
+      
+      'requirements.noResults': 'No hay resultados de misión',
+      'requirements.rank': 'Rango {required} o mejor (obtenido {actual})',
+      'requirements.score': 'Puntuación de {required} o más (obtenida {actual})',
+      'requirements.accuracy': 'Precisión del {required} % o más (obtenida {actual} %)',
+      'requirements.bonus': 'Consigue la bonificación "{bonus}"',
+      'requirements.wingmen': 'Mantén con vida a todos los compañeros (perdidos: {names})',
+      
+      'gameComplete.title': 'VICTORIA',
+      'gameComplete.subtitle': '¡El sistema Lylat está a salvo!',
+      'gameComplete.pathTaken': 'Ruta seguida',
+      'gameComplete.newGamePlus': 'New Game+',
+      'gameComplete.newUnlock': '🎉 NUEVO DESBLOQUEO',
+      'gameComplete.allUnlocks': 'Todos los desbloqueos',
+      
+      'highScores.title': 'MEJORES PUNTUACIONES',
+      'highScores.newHighScore': 'NUEVA PUNTUACIÓN MÁXIMA',
+      'highScores.table': '{mode} • {difficulty}',
+      'highScores.initials': 'Iniciales {initials}',
+      'highScores.end': 'Fin',
+      
+      'records.title': 'RÉCORDS',
+      'records.runTimeline': 'CRONOLOGÍA DE LA PARTIDA',
+      'records.runsCleared': 'Partidas superadas',
+      'records.abandoned': 'Abandonadas',
+      'records.playTime': 'Tiempo de juego',
+      'records.bestScore': 'Mejor puntuación',
+      'records.favouriteRoute': 'Ruta favorita:',
+      'records.runHistory': 'Historial de partidas',
+      'records.noRuns': 'Aún no hay partidas terminadas.',
+      'records.cleared': 'SUPERADA',
+      'records.abandonedTag': 'ABANDONADA',
+      'records.squad': 'Escuadrón:',
+      'records.difficulty': 'Dificultad: {difficulty}',
+      'records.duration': 'Duración: {time}',
+      'records.finalScore': 'PUNTUACIÓN FINAL {score}',
+      'records.abandonedAt': 'ABANDONADA CON {score}',
+      
+      'bossRush.title': 'BOSS RUSH',
+      'bossRush.stage': 'Fase {stage} de {total}',
+      'bossRush.stageClear': 'FASE SUPERADA — {time}',
+      'bossRush.totalTime': 'Tiempo total',
+      'bossRush.best': 'Mejor {time}',
+      'bossRush.warning': 'No se guarda entre fases. Perder una fase termina la partida.',
+      'bossRush.abandon': 'Abandonar partida',
+      'bossRush.nextStage': 'Siguiente fase',
+      'bossRush.launch': 'Despegar',
+      'bossRush.clear': 'BOSS RUSH SUPERADO',
+      'bossRush.failed': 'BOSS RUSH FALLIDO',
+      'bossRush.newBest': '¡Nuevo mejor tiempo!',
+      'bossRush.bosses': 'Jefes',
+      'bossRush.bestTimes': 'Mejores tiempos',
+      
+      'pause.title': 'PAUSA',
+      'pause.resume': 'Continuar',
+      'pause.restart': 'Reiniciar misión',
+      'pause.options': 'Opciones',
+      'pause.abortToMap': 'Abandonar al mapa',
+      'pause.abortToBriefing': 'Abandonar al informe',
+      'pause.abortToMenu': 'Abandonar al menú principal',
+      'pause.confirmRestart': '¿Reiniciar la misión? Se perderá el progreso de este intento.',
+      'pause.confirmAbort': '¿Abandonar la misión? Se perderá el progreso de este intento.',
+    },
   },
+};
+
+/**
+ * Host locales merged over the built-in ones: a known id gains or replaces
+ * strings, a new id adds a language.
+ */
+const mergeLocales = (custom) => {
+  const merged = { ...LOCALES };
+  Object.entries(custom || {}).forEach(([id, locale]) => {
+    merged[id] = {
+      name: id,
+      dir: 'ltr',
+      ...merged[id],
+      ...locale,
+      strings: { ...merged[id]?.strings, ...locale.strings },
+    };
+  });
+  return merged;
+};
+
+// First of the browser's preferred languages that has a locale, else English
+const detectLanguage = (locales = LOCALES) => {
+  if (typeof navigator === 'undefined') return 'en';
+  const preferred = navigator.languages || [navigator.language];
+  for (const tag of preferred.filter(Boolean)) {
+    if (locales[tag]) return tag;
+    const primary = tag.split('-')[0];
+    if (locales[primary]) return primary;
+  }
+  return 'en';
+};
+
+/**
+ * Campaign, roster and unlock text may be a plain string or one string per
+ * language, e.g. { en: 'The Final Battle', es: 'La batalla final' }.
+ */
+const localizeText = (value, language = 'en') => {
+  if (value === null || typeof value !== 'object') return value;
+  return value[language] ?? value[language.split('-')[0]] ?? value.en ?? Object.values(value)[0];
+};
+
+const formatLocalizedNumber = (value, language = 'en') => Number(value).toLocaleString(language);
+
+/**
+ * Returns t(id, params) for one language. Numbers in params are formatted
+ * for the language and localised text objects are resolved, so callers can
+ * pass raw values. params.defaultValue stands in for an id no table has.
+ */
+const createTranslator = (language = 'en', locales = LOCALES) => {
+  const strings = locales[language]?.strings || {};
+  const fallback = locales.en?.strings || LOCALES.en.strings;
+  const pluralRules = new Intl.PluralRules(language);
   
-  resultItem: {
-    background: 'rgba(0, 0, 0, 0.3)',
-    padding: '1rem',
-    borderRadius: '4px',
-    textAlign: 'center',
-    border: '1px solid rgba(0, 255, 136, 0.3)',
-  },
+  return (id, params = {}) => {
+    let entry = strings[id] ?? fallback[id] ?? params.defaultValue ?? id;
+    if (typeof entry === 'object') {
+      entry = entry[pluralRules.select(params.count ?? 0)] ?? entry.other;
+    }
+    return entry.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'number' ? formatLocalizedNumber(value, language) : localizeText(value, language);
+    });
+  };
+};
+
+// Everything a screen needs to render text in the current language
+const buildLocaleValue = (language = 'en', locales = LOCALES) => ({
+  language,
+  dir: locales[language]?.dir || 'ltr',
+  languages: Object.entries(locales).map(([id, locale]) => ({ id, name: locale.name || id })),
+  t: createTranslator(language, locales),
+  localize: (value) => localizeText(value, language),
+  formatNumber: (value) => formatLocalizedNumber(value, language),
+  formatDate: (value) => new Date(value).toLocaleDateString(language),
+  formatDateTime: (value) => new Date(value).toLocaleString(language),
+});
+
+const LocaleContext = createContext(buildLocaleValue());
+
+/**
+ * Current language: { language, dir, languages, t, localize, formatNumber,
+ * formatDate, formatDateTime }. English outside the menu system.
+ */
+const useLocale = () => useContext(LocaleContext);
+
+// Level path for display. Right-to-left layouts isolate each id so the path
+// reads from the right.
+const formatPath = (levelIds, dir = 'ltr') => (dir === 'rtl'
+  ? levelIds.map(id => `\u2068${id.toUpperCase()}\u2069`).join(' ← ')
+  : levelIds.map(id => id.toUpperCase()).join(' → '));
+
+// ============================================================================
+// BOSS RUSH - Linear Boss Sequence and Timing
+// ============================================================================
+
+const getBossRushStages = (campaign) => campaign.bossRush?.stages || [];
+
+// LevelResults.time in seconds. It is 'M:SS' (or 'H:MM:SS'), or a number of
+// milliseconds, the same as normalizeLevelResults accepts.
+const parseMissionTime = (time) => {
+  if (Number.isFinite(time)) return time / 1000;
+  if (typeof time !== 'string') return 0;
+  return time.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+};
+
+// 'M:SS', or 'H:MM:SS' from an hour up
+const formatMissionTime = (seconds) => {
+  const whole = Math.round(seconds);
+  const pad = (value) => String(value).padStart(2, '0');
+  if (whole >= 3600) {
+    return `${Math.floor(whole / 3600)}:${pad(Math.floor(whole / 60) % 60)}:${pad(whole % 60)}`;
+  }
+  return `${Math.floor(whole / 60)}:${pad(whole % 60)}`;
+};
+
+// ============================================================================
+// BRANCH REQUIREMENTS - Performance-Gated Paths
+// ============================================================================
+
+// Worst to best, so a higher index is a better rank
+const RANK_ORDER = ['D', 'C', 'B', 'A', 'S'];
+
+/**
+ * Lists what a mission result failed to meet for one gated choice.
+ * An empty list means the choice is open. Requirements come from a level's
+ * choiceRequirements entry, e.g.
+ * { minRank: 'A', minScore: 5000, minAccuracy: 80, bonus: 'SECRET ROUTE',
+ *   allWingmenAlive: true, hint: 'Save every wingman' }.
+ * When a hint is given it replaces the detailed reasons, for hidden routes.
+ * Messages use the string tables of the given language (English by default).
+ */
+const evaluateChoiceRequirements = (requirements, results, { language = 'en', locales = LOCALES } = {}) => {
+  if (!requirements) return [];
+  const t = createTranslator(language, locales);
+  const hint = localizeText(requirements.hint, language);
+  if (!results) return [hint || t('requirements.noResults')];
+
+  const missed = [];
+
+  if (requirements.minRank !== undefined
+    && RANK_ORDER.indexOf(results.rank) < RANK_ORDER.indexOf(requirements.minRank)) {
+    missed.push(t('requirements.rank', { required: requirements.minRank, actual: results.rank || '-' }));
+  }
+  if (requirements.minScore !== undefined && (results.score || 0) < requirements.minScore) {
+    missed.push(t('requirements.score', { required: requirements.minScore, actual: results.score || 0 }));
+  }
+  if (requirements.minAccuracy !== undefined && (results.accuracy || 0) < requirements.minAccuracy) {
+    missed.push(t('requirements.accuracy', { required: requirements.minAccuracy, actual: results.accuracy || 0 }));
+  }
+
+  const bonuses = [].concat(requirements.bonus || []);
+  bonuses
+    .filter(bonus => !(results.bonuses || []).includes(bonus))
+    .forEach((bonus) => missed.push(t('requirements.bonus', { bonus })));
+
+  if (requirements.allWingmenAlive) {
+    const lost = (results.wingmenStatus || []).filter(status => !status.alive);
+    if (lost.length > 0) {
+      const names = lost.map(status => localizeText(status.name, language)).join(', ');
+      missed.push(t('requirements.wingmen', { names }));
+    }
+  }
+
+  if (missed.length > 0 && hint) return [hint];
+  return missed;
+};
+
+/**
+ * Splits the next choices after the last completed level into open and
+ * gated ones, judged against the results of that mission.
+ *
+ * Returns { available: [levelId], locked: { [levelId]: [reason] } }, with the
+ * reasons in the language given as for evaluateChoiceRequirements.
+ * If every remaining choice is gated they are all opened instead, so a
+ * campaign can never strand the player.
+ */
+const getCampaignChoices = (campaign, completedLevels, lastResults, localeOptions = {}) => {
+  if (completedLevels.length === 0) {
+    return { available: [getStartLevel(campaign)], locked: {} };
+  }
+
+  const lastCompleted = completedLevels[completedLevels.length - 1];
+  const lastLevelData = campaign.levels[lastCompleted];
+
+  if (!lastLevelData) return { available: [], locked: {} };
+
+  const remaining = lastLevelData.nextChoices.filter(
+    levelId => !completedLevels.includes(levelId)
+  );
+  const requirements = lastLevelData.choiceRequirements || {};
+
+  const available = [];
+  const locked = {};
+  remaining.forEach((levelId) => {
+    const missed = evaluateChoiceRequirements(requirements[levelId], lastResults, localeOptions);
+    if (missed.length > 0) {
+      locked[levelId] = missed;
+    } else {
+      available.push(levelId);
+    }
+  });
+
+  if (available.length === 0) return { available: remaining, locked: {} };
+  return { available, locked };
+};
+
+// ============================================================================
+// SCORING - Rank and Score Calculation
+// ============================================================================
+
+// Point values used when neither the campaign nor the level overrides them.
+// Levels usually declare their own parSeconds and rankThresholds.
+const DEFAULT_SCORING = {
+  hitValue: 100,               // Per enemy hit
+  accuracyValue: 20,           // Per accuracy percent
+  parSeconds: 300,             // Every second under par earns timeValue
+  timeValue: 10,
+  wingmanValue: 500,           // Per wingman alive at the end
+  bonusValue: 1000,            // Per bonus earned, unless bonusValues names it
+  bonusValues: {},
+  rankThresholds: { S: 20000, A: 15000, B: 10000, C: 5000 },
+};
+
+const DIFFICULTY_SCORE_MULTIPLIERS = { normal: 1, hard: 1.25, expert: 1.5 };
+
+/**
+ * Scoring rules for one level: the defaults, then the campaign's scoring
+ * block, then the level's own.
+ */
+const getLevelScoring = (campaign, levelId) => ({
+  ...DEFAULT_SCORING,
+  ...campaign?.scoring,
+  ...campaign?.levels?.[levelId]?.scoring,
+});
+
+// Best rank whose threshold the score reaches; anything below C is a D
+const gradeScore = (score, thresholds) => (
+  [...RANK_ORDER].reverse().find(rank => thresholds[rank] !== undefined && score >= thresholds[rank]) || 'D'
+);
+
+/**
+ * Works out score and rank from a mission's raw stats instead of trusting
+ * the host's. The subtotal (hits plus bonuses) is scaled by the difficulty
+ * multiplier and the New Game+ scoreMultiplier, and the rank is graded on
+ * that final score. A failed mission always ranks D.
+ *
+ * Returns { score, rank, breakdown: { base, bonuses: [{ id, label, points }],
+ * multipliers: [{ id, label, value }], total } }. The ids name the string
+ * used for each line ('bonus' lines show the bonus itself).
+ */
+const calculateMissionScore = (results, scoring = DEFAULT_SCORING, { difficulty = 'normal', modifiers = {} } = {}) => {
+  const seconds = parseMissionTime(results.time);
+  const alive = (results.wingmenStatus || []).filter(status => status.alive).length;
   
-  resultValue: {
-    fontSize: '2rem',
-    fontWeight: 900,
-    color: '#FFD700',
-    marginBottom: '0.25rem',
-  },
+  const base = (results.hits || 0) * scoring.hitValue;
+  const bonuses = [
+    { id: 'accuracy', label: 'Accuracy', points: Math.round((results.accuracy || 0) * scoring.accuracyValue) },
+    { id: 'time', label: 'Time', points: Math.max(0, scoring.parSeconds - seconds) * scoring.timeValue },
+    { id: 'wingmen', label: 'Wingmen', points: alive * scoring.wingmanValue },
+    ...(results.bonuses || []).map(bonus => ({
+      id: 'bonus',
+      label: bonus,
+      points: scoring.bonusValues[bonus] ?? scoring.bonusValue,
+    })),
+  ].filter(bonus => bonus.points > 0);
   
-  resultLabel: {
-    fontSize: '0.8rem',
-    color: '#888',
-    textTransform: 'uppercase',
-    letterSpacing: '0.1em',
-  },
+  const multipliers = [
+    { id: 'difficulty', label: `Difficulty (${difficulty})`, difficulty, value: DIFFICULTY_SCORE_MULTIPLIERS[difficulty] ?? 1 },
+    { id: 'newGamePlus', label: 'New Game+', value: modifiers.scoreMultiplier ?? 1 },
+  ].filter(multiplier => multiplier.value !== 1);
   
-  // Campaign map
-  campaignMap: {
-    position: 'relative',
-    width: '100%',
-    height: '300px',
-    background: 'rgba(0, 0, 0, 0.4)',
-    borderRadius: '8px',
-    border: '1px solid rgba(0, 255, 136, 0.3)',
-    marginBottom: '1.5rem',
-  },
+  const subtotal = bonuses.reduce((total, bonus) => total + bonus.points, base);
+  const total = Math.round(multipliers.reduce((product, multiplier) => product * multiplier.value, subtotal));
   
-  mapNode: {
-    position: 'absolute',
-    width: '60px',
-    height: '60px',
-    borderRadius: '50%',
-    display: 'flex',
-    alignItems: 'center',
-    justifyContent: 'center',
-    fontSize: '0.9rem',
-    fontWeight: 700,
-    cursor: 'pointer',
-    transition: 'all 0.3s ease',
-    transform: 'translate(-50%, -50%)',
-    border: '3px solid',
-  },
+  return {
+    score: total,
+    rank: results.completed ? gradeScore(total, scoring.rankThresholds) : 'D',
+    breakdown: { base, bonuses, multipliers, total },
+  };
+};
+
+// ============================================================================
+// LEVEL RESULTS - Normalising Results From the Host Game
+// ============================================================================
+
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+const ACCURACY_SCALES = ['fraction', 'percent'];
+
+/**
+ * Turns whatever the host game reports into a complete LevelResults object.
+ * Accepts raw values as well as display-ready ones:
+ * - time as milliseconds (number) or an 'M:SS' string
+ * - accuracy as a 0-1 fraction or a 0-100 percentage, named by
+ *   accuracyScale ('fraction' or 'percent'); without it values up to 1 are
+ *   read as fractions, and exactly 1 is reported as ambiguous
+ * - wingmenStatus entries as a wingman id (alive), { id, alive }, or the
+ *   full { name, portrait, alive } shape
+ * Missing fields get defaults; fields that are present but malformed are
+ * replaced with defaults and reported.
+ *
+ * Returns { results, problems: [{ field, message }] }.
+ */
+const normalizeLevelResults = (raw, { wingmen = [], requireRank = true } = {}) => {
+  const problems = [];
+  const problem = (field, message) => problems.push({ field, message });
   
-  mapNodeCompleted: {
-    background: 'linear-gradient(180deg, #00aa66 0%, #008844 100%)',
-    borderColor: '#00ff88',
-    color: '#fff',
-  },
+  if (!raw || typeof raw !== 'object') {
+    problem('results', `Expected a results object, got ${raw === null ? 'null' : typeof raw}`);
+    raw = {};
+  }
   
-  mapNodeCurrent: {
-    background: 'linear-gradient(180deg, #FFD700 0%, #FF8C00 100%)',
-    borderColor: '#FFD700',
-    color: '#000',
-    boxShadow: '0 0 20px rgba(255, 215, 0, 0.6)',
-  },
+  if (typeof raw.completed !== 'boolean') {
+    problem('completed', raw.completed === undefined ? 'Missing; treated as a failed mission' : `Expected a boolean, got ${JSON.stringify(raw.completed)}`);
+  }
   
-  mapNodeAvailable: {
-    background: 'linear-gradient(180deg, #3366aa 0%, #224488 100%)',
-    borderColor: '#3388ff',
-    color: '#fff',
-  },
+  const count = (field) => {
+    if (raw[field] === undefined) return 0;
+    if (isCount(raw[field])) return raw[field];
+    problem(field, `Expected a non-negative number, got ${JSON.stringify(raw[field])}`);
+    return 0;
+  };
   
-  mapNodeLocked: {
-    background: 'linear-gradient(180deg, #333 0%, #222 100%)',
-    borderColor: '#444',
-    color: '#666',
-    cursor: 'not-allowed',
-  },
+  const score = Math.round(count('score'));
+  const hits = Math.round(count('hits'));
   
-  // Options slider
-  slider: {
-    WebkitAppearance: 'none',
-    appearance: 'none',
-    width: '100%',
-    height: '8px',
-    background: 'rgba(0, 0, 0, 0.5)',
-    borderRadius: '4px',
-    outline: 'none',
-    cursor: 'pointer',
-  },
+  let accuracyScale = raw.accuracyScale;
+  if (accuracyScale !== undefined && !ACCURACY_SCALES.includes(accuracyScale)) {
+    problem('accuracyScale', `Expected 'fraction' or 'percent', got ${JSON.stringify(accuracyScale)}`);
+    accuracyScale = undefined;
+  }
   
-  // Animations keyframes (applied via className)
-  '@keyframes pulse': {
-    '0%, 100%': { opacity: 1 },
-    '50%': { opacity: 0.5 },
-  },
+  let accuracy = count('accuracy');
+  if (accuracyScale === undefined && accuracy === 1) {
+    // 100% as a fraction, or 1% as a percentage
+    problem('accuracy', '1 could be a fraction or a percentage; read as 100%. Set accuracyScale to say which');
+  }
+  if (accuracyScale === 'fraction' || (accuracyScale === undefined && accuracy <= 1)) accuracy *= 100;
+  if (accuracy > 100) {
+    problem('accuracy', `Expected at most 100%, got ${accuracy}`);
+    accuracy = 100;
+  }
   
-  '@keyframes slideIn': {
-    '0%': { transform: 'translateY(20px)', opacity: 0 },
-    '100%': { transform: 'translateY(0)', opacity: 1 },
-  },
+  let time = '0:00';
+  if (isCount(raw.time)) {
+    time = formatMissionTime(raw.time / 1000);
+  } else if (typeof raw.time === 'string' && /^\d+(:\d{1,2}(\.\d+)?)+$/.test(raw.time)) {
+    time = raw.time;
+  } else if (raw.time !== undefined) {
+    problem('time', `Expected milliseconds or 'M:SS', got ${JSON.stringify(raw.time)}`);
+  }
+  
+  let rank = 'D';
+  if (RANK_ORDER.includes(raw.rank)) {
+    rank = raw.rank;
+  } else if (raw.rank !== undefined) {
+    problem('rank', `Expected one of ${RANK_ORDER.join(', ')}, got ${JSON.stringify(raw.rank)}`);
+  } else if (requireRank) {
+    problem('rank', 'Missing; treated as D');
+  }
+  
+  const roster = new Map(wingmen.map(wingman => [wingman.id, wingman]));
+  let wingmenStatus = [];
+  if (Array.isArray(raw.wingmenStatus)) {
+    wingmenStatus = raw.wingmenStatus.map((entry, index) => {
+      const status = typeof entry === 'string' ? { id: entry, alive: true } : entry;
+      if (!status || typeof status !== 'object') {
+        problem(`wingmenStatus[${index}]`, `Expected a wingman id or status object, got ${JSON.stringify(entry)}`);
+        return null;
+      }
+      const wingman = status.id !== undefined ? roster.get(status.id) : null;
+      if (status.id !== undefined && !wingman) {
+        problem(`wingmenStatus[${index}]`, `Unknown wingman id "${status.id}"`);
+      }
+      return {
+        ...status,
+        name: status.name ?? wingman?.name ?? String(status.id ?? 'UNKNOWN'),
+        portrait: status.portrait ?? wingman?.portrait ?? '',
+        alive: status.alive !== false,
+      };
+    }).filter(Boolean);
+  } else if (raw.wingmenStatus !== undefined) {
+    problem('wingmenStatus', `Expected an array, got ${JSON.stringify(raw.wingmenStatus)}`);
+  }
+  
+  let bonuses = [];
+  if (Array.isArray(raw.bonuses)) {
+    bonuses = raw.bonuses.filter((bonus, index) => {
+      if (typeof bonus === 'string') return true;
+      problem(`bonuses[${index}]`, `Expected a string, got ${JSON.stringify(bonus)}`);
+      return false;
+    });
+  } else if (raw.bonuses !== undefined) {
+    problem('bonuses', `Expected an array, got ${JSON.stringify(raw.bonuses)}`);
+  }
+  
+  return {
+    results: {
+      ...raw,
+      completed: raw.completed === true,
+      score,
+      hits,
+      accuracy: Math.round(accuracy),
+      time,
+      rank,
+      wingmenStatus,
+      bonuses,
+    },
+    problems,
+  };
 };
 
 // ============================================================================
-// ANIMATED BACKGROUND COMPONENT
+// LEVEL RECORDS - Personal Bests and Medals
 // ============================================================================
 
-const AnimatedBackground = () => {
-  const canvasRef = useRef(null);
+const EMPTY_LEVEL_RECORD = {
+  bestScore: null,
+  bestRank: null,
+  bestAccuracy: null,
+  fastestSeconds: null,
+  attempts: 0,
+  clears: 0,
+};
+
+/**
+ * Updates a level's record with one mission result. Every result counts
+ * as an attempt; only cleared missions can set bests. Returns
+ * { record, improved } where improved lists the beaten fields out of
+ * 'score', 'rank', 'accuracy' and 'time'. A first clear beats nothing.
+ */
+const mergeLevelRecord = (previous, results) => {
+  const record = {
+    ...EMPTY_LEVEL_RECORD,
+    ...previous,
+    attempts: (previous?.attempts || 0) + 1,
+  };
+  const improved = [];
   
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+  if (!results?.completed) return { record, improved };
+  
+  const firstClear = record.clears === 0;
+  record.clears += 1;
+  
+  const beat = (field, key, value, isBetter) => {
+    if (value === null || value === undefined) return;
+    if (record[key] === null || isBetter(value, record[key])) {
+      if (!firstClear && record[key] !== null) improved.push(field);
+      record[key] = value;
+    }
+  };
+  
+  beat('score', 'bestScore', results.score, (a, b) => a > b);
+  beat('rank', 'bestRank', RANK_ORDER.includes(results.rank) ? results.rank : null,
+    (a, b) => RANK_ORDER.indexOf(a) > RANK_ORDER.indexOf(b));
+  beat('accuracy', 'bestAccuracy', results.accuracy, (a, b) => a > b);
+  beat('time', 'fastestSeconds', results.time !== undefined ? parseMissionTime(results.time) : null,
+    (a, b) => a < b);
+  
+  return { record, improved };
+};
+
+// Medal for a level's best rank: S earns gold, A silver, B bronze. Each
+// name is also the theme palette colour it is drawn in.
+const LEVEL_MEDALS = {
+  S: 'gold',
+  A: 'silver',
+  B: 'bronze',
+};
+
+const getLevelMedal = (record) => LEVEL_MEDALS[record?.bestRank] || null;
+
+// ============================================================================
+// RUN HISTORY - Archived Runs and Career Statistics
+// ============================================================================
+
+// The parts of a LevelResults kept in a run's timeline
+const summarizeMission = (levelId, results) => ({
+  levelId,
+  completed: Boolean(results.completed),
+  score: results.score || 0,
+  hits: results.hits || 0,
+  accuracy: results.accuracy || 0,
+  time: results.time,
+  rank: results.rank,
+});
+
+// A slot holds a run in progress from its first save until it is archived
+const isRunInProgress = (progress) => Boolean(progress?.startedAt);
+
+/**
+ * Builds a run-history entry from a slot's progress record. Outcome is
+ * 'completed' or 'abandoned'; duration is the summed mission time.
+ */
+const createRunRecord = (progress, outcome) => {
+  const missions = progress.missions || [];
+  return {
+    id: `run-${progress.startedAt}-${Date.now()}`,
+    outcome,
+    path: progress.completedLevels || [],
+    missions,
+    wingmen: progress.selectedWingmen || [],
+    totalScore: progress.totalScore || 0,
+    durationSeconds: missions.reduce((total, mission) => total + parseMissionTime(mission.time), 0),
+    newGamePlusTier: progress.completedRuns || 0,
+    difficulty: progress.difficulty || 'normal',
+    slotId: progress.slotId ?? null,
+    startedAt: progress.startedAt,
+    endedAt: Date.now(),
+  };
+};
+
+/**
+ * Aggregates archived runs: { runsCompleted, runsAbandoned, totalPlaySeconds,
+ * bestScore, mostUsedRoute: { path, count } | null,
+ * averageRankByLevel: { [levelId]: rank } } over cleared missions.
+ */
+const computeCareerStats = (runs) => {
+  const completed = runs.filter(run => run.outcome === 'completed');
+  
+  const routeCounts = {};
+  completed.forEach((run) => {
+    const key = run.path.join('>');
+    routeCounts[key] = (routeCounts[key] || 0) + 1;
+  });
+  const [topRoute, topCount] = Object.entries(routeCounts)
+    .sort(([, a], [, b]) => b - a)[0] || [];
+  
+  const rankTotals = {};
+  runs.flatMap(run => run.missions).forEach((mission) => {
+    if (!mission.completed || !RANK_ORDER.includes(mission.rank)) return;
+    const totals = rankTotals[mission.levelId] || { sum: 0, count: 0 };
+    rankTotals[mission.levelId] = { sum: totals.sum + RANK_ORDER.indexOf(mission.rank), count: totals.count + 1 };
+  });
+  
+  return {
+    runsCompleted: completed.length,
+    runsAbandoned: runs.length - completed.length,
+    totalPlaySeconds: runs.reduce((total, run) => total + run.durationSeconds, 0),
+    bestScore: Math.max(0, ...completed.map(run => run.totalScore)),
+    mostUsedRoute: topRoute !== undefined ? { path: topRoute.split('>'), count: topCount } : null,
+    averageRankByLevel: Object.fromEntries(Object.entries(rankTotals).map(([levelId, { sum, count }]) => (
+      [levelId, RANK_ORDER[Math.round(sum / count)]]
+    ))),
+  };
+};
+
+// ============================================================================
+// HIGH SCORES - Arcade Tables per Mode and Difficulty
+// ============================================================================
+
+const getHighScoreKey = (mode, difficulty) => `${mode}:${difficulty}`;
+
+// Ties with the lowest entry of a full table do not get in
+const qualifiesForHighScore = (table = [], score) => (
+  score > 0 && (table.length < HIGH_SCORE_LIMIT || score > table[table.length - 1].score)
+);
+
+// ============================================================================
+// CAMPAIGN VALIDATION - Graph Diagnostics
+// ============================================================================
+
+// The campaign's levels that are objects. Anything else is reported by
+// validateCampaign as INVALID_LEVEL and treated as undefined everywhere else.
+const getLevelObjects = (campaign) => Object.fromEntries(
+  Object.entries(campaign?.levels || {}).filter(([, level]) => (
+    level && typeof level === 'object' && !Array.isArray(level)
+  ))
+);
+
+/**
+ * Checks that a campaign's levels, nextChoices and mapPositions agree with
+ * each other. Has no React or browser dependencies so it can run
+ * from a Node script as well as at startup.
+ * 
+ * Returns { valid, errors, warnings } where each diagnostic is
+ * { code, message, levelId }.
+ */
+const validateCampaign = (campaign) => {
+  const errors = [];
+  const warnings = [];
+  const error = (code, message, levelId = null) => errors.push({ code, message, levelId });
+  const warning = (code, message, levelId = null) => warnings.push({ code, message, levelId });
+  
+  // Entries that are not level objects are reported and left out of every
+  // other check, where they count as unknown levels
+  const levels = getLevelObjects(campaign);
+  Object.entries(campaign?.levels || {}).forEach(([levelId, level]) => {
+    if (!levels[levelId]) {
+      const got = level === null ? 'null' : Array.isArray(level) ? 'an array' : typeof level;
+      error('INVALID_LEVEL', `Level "${levelId}" must be an object, got ${got}`, levelId);
+    }
+  });
+  const levelIds = Object.keys(levels);
+  
+  if (levelIds.length === 0) {
+    error('NO_LEVELS', 'Campaign has no levels');
+    return { valid: false, errors, warnings };
+  }
+  
+  const startLevel = getStartLevel(campaign);
+  if (!levels[startLevel]) {
+    error('UNKNOWN_START_LEVEL', `startLevel "${startLevel}" is not a defined level`);
+  }
+  
+  // Per-level checks
+  levelIds.forEach((levelId) => {
+    const level = levels[levelId];
     
-    const ctx = canvas.getContext('2d');
-    let animationId;
-    const stars = [];
+    if (level.id !== undefined && level.id !== levelId) {
+      warning('ID_MISMATCH', `Level "${levelId}" declares id "${level.id}"`, levelId);
+    }
+    if (!Array.isArray(level.nextChoices)) {
+      error('MISSING_NEXT_CHOICES', `Level "${levelId}" has no nextChoices array`, levelId);
+      return;
+    }
     
-    const resize = () => {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
-    };
+    level.nextChoices.forEach((nextId) => {
+      if (!levels[nextId]) {
+        error('DANGLING_NEXT_CHOICE', `Level "${levelId}" lists unknown next choice "${nextId}"`, levelId);
+      }
+    });
     
-    const initStars = () => {
-      stars.length = 0;
-      for (let i = 0; i < 150; i++) {
-        stars.push({
-          x: Math.random() * canvas.width,
-          y: Math.random() * canvas.height,
-          size: Math.random() * 2 + 0.5,
-          speed: Math.random() * 2 + 0.5,
-          opacity: Math.random() * 0.8 + 0.2,
-        });
+    if (level.isFinal && level.nextChoices.length > 0) {
+      warning('FINAL_HAS_CHOICES', `Final level "${levelId}" has nextChoices that can never be played`, levelId);
+    }
+    if (!level.isFinal && level.nextChoices.length === 0) {
+      error('DEAD_END', `Level "${levelId}" is not final but has no nextChoices`, levelId);
+    }
+
+    const requirements = level.choiceRequirements || {};
+    Object.entries(requirements).forEach(([nextId, requirement]) => {
+      if (!level.nextChoices.includes(nextId)) {
+        error('DANGLING_REQUIREMENT', `Level "${levelId}" has requirements for "${nextId}", which is not in its nextChoices`, levelId);
       }
-    };
-    
-    const animate = () => {
-      ctx.fillStyle = 'rgba(10, 10, 18, 0.2)';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      
-      stars.forEach(star => {
-        star.x -= star.speed;
-        if (star.x < 0) {
-          star.x = canvas.width;
-          star.y = Math.random() * canvas.height;
+      if (requirement?.minRank !== undefined && !RANK_ORDER.includes(requirement.minRank)) {
+        error('INVALID_REQUIREMENT', `Requirement for "${levelId}" → "${nextId}" has unknown minRank "${requirement.minRank}"`, levelId);
+      }
+    });
+    const thresholds = level.scoring?.rankThresholds || {};
+    Object.keys(thresholds).forEach((rank) => {
+      if (!RANK_ORDER.includes(rank)) {
+        error('INVALID_SCORING', `Level "${levelId}" has a rank threshold for unknown rank "${rank}"`, levelId);
+      }
+    });
+    const ordered = RANK_ORDER.filter(rank => thresholds[rank] !== undefined).map(rank => thresholds[rank]);
+    if (ordered.some((value, index) => index > 0 && value < ordered[index - 1])) {
+      warning('UNORDERED_RANK_THRESHOLDS', `Rank thresholds for "${levelId}" should rise from C to S`, levelId);
+    }
+    if (level.nextChoices.length > 0 && level.nextChoices.every(nextId => requirements[nextId])) {
+      warning('ALL_CHOICES_GATED', `Every choice after "${levelId}" is gated; they all open when none is met`, levelId);
+    }
+  });
+  
+  if (!levelIds.some(levelId => levels[levelId].isFinal)) {
+    error('NO_FINAL_LEVEL', 'No level is marked isFinal, so the campaign can never be completed');
+  }
+  
+  // Map positions are optional; levels without one are laid out automatically
+  const mapPositions = campaign.mapPositions || {};
+  levelIds.forEach((levelId) => {
+    const pos = mapPositions[levelId];
+    if (pos && (!Number.isFinite(pos.x) || !Number.isFinite(pos.y))) {
+      error('INVALID_MAP_POSITION', `Map position for "${levelId}" needs numeric x and y`, levelId);
+    }
+  });
+  Object.keys(mapPositions).forEach((levelId) => {
+    if (!levels[levelId]) {
+      error('DANGLING_MAP_POSITION', `Map position given for unknown level "${levelId}"`, levelId);
+    }
+  });
+  
+  // Boss Rush stages replay existing levels
+  (campaign.bossRush?.stages || []).forEach((stage, index) => {
+    if (!levels[stage?.levelId]) {
+      error('DANGLING_BOSS_STAGE', `Boss Rush stage ${index + 1} uses unknown level "${stage?.levelId}"`, stage?.levelId ?? null);
+    }
+  });
+  
+  // Legacy connections lists are ignored (paths come from nextChoices), but
+  // flag any that disagree since they usually point at a typo
+  (campaign.connections || []).forEach(({ from, to }) => {
+    if (!levels[from]?.nextChoices?.includes(to)) {
+      warning('CONNECTION_MISMATCH', `Ignored connection ${from} → ${to} is not in "${from}".nextChoices`, from);
+    }
+  });
+  
+  // Reachability from the start level
+  if (levels[startLevel]) {
+    const reached = new Set([startLevel]);
+    const queue = [startLevel];
+    while (queue.length > 0) {
+      (levels[queue.shift()].nextChoices || []).forEach((nextId) => {
+        if (levels[nextId] && !reached.has(nextId)) {
+          reached.add(nextId);
+          queue.push(nextId);
         }
-        
-        ctx.beginPath();
-        ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-        ctx.fillStyle = `rgba(255, 255, 255, ${star.opacity})`;
-        ctx.fill();
       });
-      
-      animationId = requestAnimationFrame(animate);
-    };
+    }
+    levelIds.forEach((levelId) => {
+      if (!reached.has(levelId)) {
+        warning('UNREACHABLE_LEVEL', `Level "${levelId}" cannot be reached from "${startLevel}"`, levelId);
+      }
+    });
+  }
+  
+  // Cycles (depth-first search, each cycle reported once by its entry level)
+  const state = {};
+  const visit = (levelId, path) => {
+    state[levelId] = 'visiting';
+    (levels[levelId].nextChoices || []).forEach((nextId) => {
+      if (!levels[nextId]) return;
+      if (state[nextId] === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(nextId)), nextId];
+        error('CYCLE', `Cycle detected: ${cycle.join(' → ')}`, nextId);
+      } else if (!state[nextId]) {
+        visit(nextId, [...path, nextId]);
+      }
+    });
+    state[levelId] = 'done';
+  };
+  levelIds.forEach((levelId) => {
+    if (!state[levelId]) visit(levelId, [levelId]);
+  });
+  
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+// Renders a validateCampaign() report as readable lines
+const formatCampaignDiagnostics = ({ errors, warnings }) => [
+  ...errors.map(({ code, message }) => `ERROR   [${code}] ${message}`),
+  ...warnings.map(({ code, message }) => `WARNING [${code}] ${message}`),
+].join('\n');
+
+const isDevelopment = () => (
+  typeof process !== 'undefined' && process.env?.NODE_ENV !== 'production'
+);
+
+// ============================================================================
+// CAMPAIGN LAYOUT - Derived Paths and Automatic Map Positions
+// ============================================================================
+
+// Map paths, one per nextChoices entry that points at a defined level
+const getCampaignConnections = (campaign) => {
+  const levels = getLevelObjects(campaign);
+  return Object.entries(levels).flatMap(([from, level]) => (
+    (Array.isArray(level.nextChoices) ? level.nextChoices : [])
+      .filter(to => levels[to])
+      .map(to => ({ from, to }))
+  ));
+};
+
+// Longest-path layering: every level sits one column right of its deepest
+// predecessor. Levels caught in a cycle fall back to breadth-first depth.
+const assignLayers = (levelIds, connections) => {
+  const incoming = Object.fromEntries(levelIds.map(id => [id, 0]));
+  connections.forEach(({ to }) => { incoming[to]++; });
+  
+  const layer = {};
+  const queue = levelIds.filter(id => incoming[id] === 0);
+  queue.forEach((id) => { layer[id] = 0; });
+  
+  while (queue.length > 0) {
+    const from = queue.shift();
+    connections.filter(edge => edge.from === from).forEach(({ to }) => {
+      layer[to] = Math.max(layer[to] ?? 0, layer[from] + 1);
+      if (--incoming[to] === 0) queue.push(to);
+    });
+  }
+  
+  levelIds.forEach((id) => {
+    if (layer[id] !== undefined) return;
+    const predecessors = connections
+      .filter(edge => edge.to === id && layer[edge.from] !== undefined)
+      .map(edge => layer[edge.from] + 1);
+    layer[id] = predecessors.length > 0 ? Math.min(...predecessors) : 0;
+  });
+  
+  return layer;
+};
+
+// Number of pairs of paths that cross, treating each as a straight segment
+// between (layer, relative position within layer)
+const countCrossings = (connections, layer, order) => {
+  const point = (id) => [layer[id], (order[layer[id]].indexOf(id) + 0.5) / order[layer[id]].length];
+  const side = ([ax, ay], [bx, by], [cx, cy]) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+  let crossings = 0;
+  
+  for (let i = 0; i < connections.length; i++) {
+    for (let j = i + 1; j < connections.length; j++) {
+      const a = point(connections[i].from);
+      const b = point(connections[i].to);
+      const c = point(connections[j].from);
+      const d = point(connections[j].to);
+      if (side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0) crossings++;
+    }
+  }
+  return crossings;
+};
+
+/**
+ * Places levels in left-to-right columns by graph depth and orders each
+ * column with barycentre sweeps to reduce path crossings. Manual
+ * mapPositions always win.
+ * 
+ * Returns { positions, layerCount, maxLayerSize } with percentage positions.
+ */
+const computeCampaignLayout = (campaign) => {
+  const levelIds = Object.keys(getLevelObjects(campaign));
+  const connections = getCampaignConnections(campaign);
+  const layer = assignLayers(levelIds, connections);
+  const layerCount = Math.max(0, ...Object.values(layer)) + 1;
+  
+  let order = Array.from({ length: layerCount }, () => []);
+  levelIds.forEach((id) => { order[layer[id]].push(id); });
+  
+  const relative = (id, currentOrder) => (
+    (currentOrder[layer[id]].indexOf(id) + 0.5) / currentOrder[layer[id]].length
+  );
+  
+  const sweep = (currentOrder, layerIndices, neighboursOf) => {
+    const next = currentOrder.map(column => [...column]);
+    layerIndices.forEach((index) => {
+      const barycentre = {};
+      next[index].forEach((id) => {
+        const neighbours = neighboursOf(id);
+        barycentre[id] = neighbours.length > 0
+          ? neighbours.reduce((sum, other) => sum + relative(other, next), 0) / neighbours.length
+          : relative(id, next);
+      });
+      next[index].sort((a, b) => barycentre[a] - barycentre[b]);
+    });
+    return next;
+  };
+  
+  const predecessors = id => connections.filter(edge => edge.to === id).map(edge => edge.from);
+  const successors = id => connections.filter(edge => edge.from === id).map(edge => edge.to);
+  const forward = Array.from({ length: layerCount }, (_, index) => index).slice(1);
+  const backward = Array.from({ length: layerCount }, (_, index) => index).reverse().slice(1);
+  
+  let bestOrder = order;
+  let bestCrossings = countCrossings(connections, layer, order);
+  
+  for (let pass = 0; pass < 4 && bestCrossings > 0; pass++) {
+    order = sweep(sweep(order, forward, predecessors), backward, successors);
+    const crossings = countCrossings(connections, layer, order);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      bestOrder = order;
+    }
+  }
+  
+  const positions = {};
+  bestOrder.forEach((column, index) => {
+    column.forEach((id, row) => {
+      positions[id] = {
+        x: layerCount > 1 ? 10 + (index / (layerCount - 1)) * 80 : 50,
+        y: ((row + 0.5) / column.length) * 100,
+      };
+    });
+  });
+  
+  return {
+    positions: { ...positions, ...pickKnownPositions(campaign) },
+    layerCount,
+    maxLayerSize: Math.max(...bestOrder.map(column => column.length)),
+  };
+};
+
+// Manual positions for defined levels only
+const pickKnownPositions = (campaign) => {
+  const levels = getLevelObjects(campaign);
+  return Object.fromEntries(
+    Object.entries(campaign.mapPositions || {}).filter(([id]) => levels[id])
+  );
+};
+
+// ============================================================================
+// THEMES - Palettes, Fonts and Effects
+// ============================================================================
+
+/**
+ * Built-in looks. A theme has a palette of hex colours (translucent tints
+ * are derived with alpha()), fonts, corner radii and effect toggles. Custom
+ * themes only need the parts that differ; createTheme fills in the rest
+ * from the N64 preset.
+ */
+const THEME_PRESETS = {
+  n64: {
+    name: 'N64',
+    palette: {
+      primary: '#00ff88',       // Interactive borders, highlights, success
+      primaryDeep: '#00cc66',
+      secondary: '#3388ff',     // Cards, section headings, open routes
+      secondaryDeep: '#224488',
+      accent: '#FFD700',        // Scores, selection, records
+      accentDeep: '#FF8C00',
+      accentHot: '#FF4500',
+      danger: '#ff4444',        // Failure, lost wingmen, locked routes
+      dangerDeep: '#cc4444',
+      dangerSoft: '#ffaaaa',
+      warning: '#ff8844',
+      text: '#e0e0e0',
+      textStrong: '#ffffff',
+      textSoft: '#cccccc',
+      textMuted: '#888888',
+      textDim: '#666666',
+      border: '#444444',
+      borderDim: '#333333',
+      background: '#0a0a12',
+      backgroundAlt: '#1a1a2e',
+      surface: '#141e32',       // Panels and buttons
+      surfaceDeep: '#0a1423',
+      surfaceRaised: '#1e3c5a',
+      onAccent: '#000000',      // Text on accent-filled elements
+      gold: '#FFD700',          // Level medals
+      silver: '#C0C0C0',
+      bronze: '#CD7F32',
+    },
+    fonts: {
+      display: '"Orbitron", "Audiowide", "Rajdhani", sans-serif',
+      body: '"Orbitron", "Audiowide", "Rajdhani", sans-serif',
+      mono: 'monospace',
+    },
+    radius: { small: '4px', large: '8px' },
+    effects: { scanlines: true, vignette: true, starfield: true, glow: true },
+  },
+  
+  amberCrt: {
+    name: 'Amber CRT',
+    palette: {
+      primary: '#ffb000',
+      primaryDeep: '#cc8400',
+      secondary: '#ff9a3c',
+      secondaryDeep: '#7a4000',
+      accent: '#ffd27f',
+      accentDeep: '#ffb000',
+      accentHot: '#ff7b00',
+      danger: '#ff5533',
+      dangerDeep: '#b33a1f',
+      dangerSoft: '#ffb199',
+      warning: '#ff9a3c',
+      text: '#ffcc80',
+      textStrong: '#ffe8c0',
+      textSoft: '#e6b366',
+      textMuted: '#a67a33',
+      textDim: '#735219',
+      border: '#5c3d0a',
+      borderDim: '#3d2906',
+      background: '#0d0800',
+      backgroundAlt: '#1f1300',
+      surface: '#1a1000',
+      surfaceDeep: '#0d0800',
+      surfaceRaised: '#2e1d00',
+      onAccent: '#1a0f00',
+      gold: '#ffe8a0',
+      silver: '#d9c7a6',
+      bronze: '#b36b1f',
+    },
+    fonts: {
+      display: '"VT323", "Share Tech Mono", monospace',
+      body: '"VT323", "Share Tech Mono", monospace',
+      mono: '"VT323", monospace',
+    },
+    radius: { small: '0px', large: '2px' },
+    effects: { scanlines: true, vignette: true, starfield: true, glow: true },
+  },
+  
+  highContrast: {
+    name: 'High Contrast',
+    palette: {
+      primary: '#ffff00',
+      primaryDeep: '#e6e600',
+      secondary: '#00ffff',
+      secondaryDeep: '#006666',
+      accent: '#ffffff',
+      accentDeep: '#ffff00',
+      accentHot: '#ffff00',
+      danger: '#ff3333',
+      dangerDeep: '#cc0000',
+      dangerSoft: '#ff9999',
+      warning: '#ff9900',
+      text: '#ffffff',
+      textStrong: '#ffffff',
+      textSoft: '#ffffff',
+      textMuted: '#dddddd',
+      textDim: '#bbbbbb',
+      border: '#ffffff',
+      borderDim: '#999999',
+      background: '#000000',
+      backgroundAlt: '#000000',
+      surface: '#000000',
+      surfaceDeep: '#000000',
+      surfaceRaised: '#1a1a1a',
+      onAccent: '#000000',
+      gold: '#ffff00',
+      silver: '#ffffff',
+      bronze: '#ff9900',
+    },
+    fonts: {
+      display: '"Rajdhani", "Arial Black", sans-serif',
+      body: '"Rajdhani", Arial, sans-serif',
+      mono: 'monospace',
+    },
+    radius: { small: '4px', large: '8px' },
+    effects: { scanlines: false, vignette: false, starfield: false, glow: false },
+  },
+};
+
+/**
+ * Resolves the theme prop - a preset name or a partial theme object - into
+ * a complete theme, each part merged over the N64 preset.
+ */
+const createTheme = (theme = 'n64') => {
+  const base = THEME_PRESETS.n64;
+  const custom = typeof theme === 'string' ? THEME_PRESETS[theme] || base : theme || base;
+  return {
+    name: custom.name || base.name,
+    palette: { ...base.palette, ...custom.palette },
+    fonts: { ...base.fonts, ...custom.fonts },
+    radius: { ...base.radius, ...custom.radius },
+    effects: { ...base.effects, ...custom.effects },
+  };
+};
+
+// '#rrggbb' (or '#rgb') plus an opacity as an rgba() string
+const alpha = (hex, opacity) => {
+  const digits = hex.replace('#', '');
+  const full = digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+};
+
+// ============================================================================
+// STYLES - Retro-Futuristic N64 Aesthetic
+// ============================================================================
+
+// Shared style objects for a theme; screens get them from useTheme()
+const createStyles = ({ palette, fonts, radius, effects }) => {
+  const glow = (shadow) => (effects.glow ? shadow : 'none');
+  
+  return {
+    // Base container with CRT-style effects
+    container: {
+      position: 'fixed',
+      inset: 0,
+      background: `linear-gradient(180deg, ${palette.background} 0%, ${palette.backgroundAlt} 50%, ${palette.background} 100%)`,
+      fontFamily: fonts.body,
+      color: palette.text,
+      overflow: 'hidden',
+    },
     
-    resize();
-    initStars();
-    animate();
+    // Scanline overlay effect
+    scanlines: {
+      position: 'absolute',
+      inset: 0,
+      background: `repeating-linear-gradient(
+        0deg,
+        transparent,
+        transparent 2px,
+        rgba(0, 0, 0, 0.15) 2px,
+        rgba(0, 0, 0, 0.15) 4px
+      )`,
+      pointerEvents: 'none',
+      zIndex: 1000,
+    },
     
-    window.addEventListener('resize', () => {
-      resize();
-      initStars();
+    // Vignette effect
+    vignette: {
+      position: 'absolute',
+      inset: 0,
+      background: 'radial-gradient(ellipse at center, transparent 0%, rgba(0,0,0,0.6) 100%)',
+      pointerEvents: 'none',
+      zIndex: 999,
+    },
+    
+    // Screen content wrapper
+    screenContent: {
+      position: 'relative',
+      width: '100%',
+      height: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '2rem',
+      boxSizing: 'border-box',
+      zIndex: 1,
+    },
+    
+    // Title styling
+    title: {
+      fontSize: 'clamp(2rem, 6vw, 4rem)',
+      fontWeight: 900,
+      textTransform: 'uppercase',
+      fontFamily: fonts.display,
+      letterSpacing: '0.3em',
+      background: `linear-gradient(180deg, ${palette.accent} 0%, ${palette.accentDeep} 50%, ${palette.accentHot} 100%)`,
+      WebkitBackgroundClip: 'text',
+      WebkitTextFillColor: 'transparent',
+      backgroundClip: 'text',
+      textShadow: glow(`0 0 30px ${alpha(palette.accentDeep, 0.5)}`),
+      marginBottom: '0.5rem',
+      textAlign: 'center',
+    },
+    
+    subtitle: {
+      fontSize: 'clamp(0.8rem, 2vw, 1.2rem)',
+      color: palette.primary,
+      letterSpacing: '0.5em',
+      textTransform: 'uppercase',
+      marginBottom: '3rem',
+      textAlign: 'center',
+    },
+    
+    // Menu button styling
+    menuButton: {
+      background: `linear-gradient(180deg, ${alpha(palette.surfaceRaised, 0.8)} 0%, ${alpha(palette.surface, 0.9)} 100%)`,
+      border: `2px solid ${palette.primary}`,
+      borderRadius: radius.small,
+      padding: '1rem 3rem',
+      margin: '0.5rem',
+      color: palette.primary,
+      fontSize: '1.1rem',
+      fontFamily: 'inherit',
+      fontWeight: 700,
+      letterSpacing: '0.2em',
+      textTransform: 'uppercase',
+      cursor: 'pointer',
+      transition: 'all 0.2s ease',
+      minWidth: '280px',
+      position: 'relative',
+      overflow: 'hidden',
+    },
+    
+    menuButtonHover: {
+      background: `linear-gradient(180deg, ${alpha(palette.primary, 0.3)} 0%, ${alpha(palette.primaryDeep, 0.2)} 100%)`,
+      boxShadow: glow(`0 0 20px ${alpha(palette.primary, 0.5)}, inset 0 0 20px ${alpha(palette.primary, 0.1)}`),
+      transform: 'scale(1.02)',
+    },
+    
+    menuButtonSmall: {
+      padding: '0.5rem 1rem',
+      margin: '0.25rem',
+      fontSize: '0.8rem',
+      minWidth: 'auto',
+    },
+    
+    menuButtonDisabled: {
+      opacity: 0.4,
+      cursor: 'not-allowed',
+      border: `2px solid ${palette.border}`,
+      color: palette.textDim,
+    },
+    
+    // Panel styling
+    panel: {
+      background: `linear-gradient(180deg, ${alpha(palette.surface, 0.95)} 0%, ${alpha(palette.surfaceDeep, 0.98)} 100%)`,
+      border: `2px solid ${palette.primary}`,
+      borderRadius: radius.large,
+      padding: '2rem',
+      maxWidth: '800px',
+      width: '90%',
+      boxShadow: glow(`0 0 40px ${alpha(palette.primary, 0.2)}, inset 0 0 60px rgba(0, 0, 0, 0.5)`),
+    },
+    
+    // Card styling for wingmen/levels
+    card: {
+      background: `linear-gradient(180deg, ${alpha(palette.surfaceRaised, 0.9)} 0%, ${alpha(palette.surface, 0.95)} 100%)`,
+      border: `2px solid ${palette.secondary}`,
+      borderRadius: radius.large,
+      padding: '1.5rem',
+      margin: '0.5rem',
+      cursor: 'pointer',
+      transition: 'all 0.3s ease',
+      flex: 1,
+      minWidth: '200px',
+    },
+    
+    cardSelected: {
+      border: `2px solid ${palette.accent}`,
+      boxShadow: glow(`0 0 30px ${alpha(palette.accent, 0.4)}, inset 0 0 20px ${alpha(palette.accent, 0.1)}`),
+    },
+    
+    // Stats bar
+    statBar: {
+      height: '8px',
+      background: 'rgba(0, 0, 0, 0.5)',
+      borderRadius: radius.small,
+      overflow: 'hidden',
+      margin: '4px 0',
+    },
+    
+    statFill: {
+      height: '100%',
+      background: `linear-gradient(90deg, ${palette.primary} 0%, ${palette.primaryDeep} 100%)`,
+      transition: 'width 0.5s ease',
+    },
+    
+    // Results screen specific
+    resultsGrid: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+      gap: '1rem',
+      width: '100%',
+      marginBottom: '2rem',
+    },
+    
+    resultItem: {
+      background: 'rgba(0, 0, 0, 0.3)',
+      padding: '1rem',
+      borderRadius: radius.small,
+      textAlign: 'center',
+      border: `1px solid ${alpha(palette.primary, 0.3)}`,
+    },
+    
+    resultValue: {
+      fontSize: '2rem',
+      fontWeight: 900,
+      color: palette.accent,
+      marginBottom: '0.25rem',
+    },
+    
+    resultLabel: {
+      fontSize: '0.8rem',
+      color: palette.textMuted,
+      textTransform: 'uppercase',
+      letterSpacing: '0.1em',
+    },
+    
+    accuracyTrack: {
+      height: '4px',
+      margin: '0 auto 0.4rem',
+      width: '80%',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '2px',
+      overflow: 'hidden',
+    },
+    
+    accuracyFill: {
+      height: '100%',
+      background: `linear-gradient(90deg, ${palette.primaryDeep}, ${palette.primary})`,
+    },
+    
+    // Campaign map
+    campaignMap: {
+      position: 'relative',
+      width: '100%',
+      height: '300px',
+      background: 'rgba(0, 0, 0, 0.4)',
+      borderRadius: radius.large,
+      border: `1px solid ${alpha(palette.primary, 0.3)}`,
+      marginBottom: '1.5rem',
+    },
+    
+    mapNode: {
+      position: 'absolute',
+      width: '60px',
+      height: '60px',
+      borderRadius: '50%',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '0.9rem',
+      fontWeight: 700,
+      cursor: 'pointer',
+      transition: 'all 0.3s ease',
+      transform: 'translate(-50%, -50%)',
+      border: '3px solid',
+    },
+    
+    mapNodeCompleted: {
+      background: `linear-gradient(180deg, ${palette.primaryDeep} 0%, ${alpha(palette.primaryDeep, 0.6)} 100%)`,
+      borderColor: palette.primary,
+      color: palette.textStrong,
+    },
+    
+    mapNodeCurrent: {
+      background: `linear-gradient(180deg, ${palette.accent} 0%, ${palette.accentDeep} 100%)`,
+      borderColor: palette.accent,
+      color: palette.onAccent,
+      boxShadow: glow(`0 0 20px ${alpha(palette.accent, 0.6)}`),
+    },
+    
+    mapNodeAvailable: {
+      background: `linear-gradient(180deg, ${alpha(palette.secondary, 0.6)} 0%, ${palette.secondaryDeep} 100%)`,
+      borderColor: palette.secondary,
+      color: palette.textStrong,
+    },
+    
+    mapNodeLocked: {
+      background: `linear-gradient(180deg, ${palette.borderDim} 0%, ${alpha(palette.borderDim, 0.6)} 100%)`,
+      borderColor: palette.border,
+      color: palette.textDim,
+      cursor: 'not-allowed',
+    },
+    
+    // Next choice whose requirements were not met
+    mapNodeGated: {
+      background: `linear-gradient(180deg, ${alpha(palette.danger, 0.25)} 0%, ${alpha(palette.danger, 0.1)} 100%)`,
+      borderColor: palette.danger,
+      borderStyle: 'dashed',
+      color: palette.dangerSoft,
+      cursor: 'not-allowed',
+    },
+    
+    // Personal-best medal pinned to a map node
+    mapNodeBadge: {
+      position: 'absolute',
+      top: '-4px',
+      right: '-4px',
+      width: '14px',
+      height: '14px',
+      borderRadius: '50%',
+      border: `2px solid ${palette.background}`,
+    },
+    
+    mapTooltip: {
+      position: 'absolute',
+      top: '100%',
+      left: '50%',
+      transform: 'translate(-50%, 8px)',
+      zIndex: 2,
+      padding: '0.5rem 0.75rem',
+      background: alpha(palette.background, 0.95),
+      border: `1px solid ${palette.danger}`,
+      borderRadius: radius.small,
+      color: palette.dangerSoft,
+      fontSize: '0.75rem',
+      fontWeight: 400,
+      textAlign: 'start',
+      whiteSpace: 'nowrap',
+      pointerEvents: 'none',
+    },
+    
+    // Focusable option row (highlighted with cardSelected when focused)
+    optionRow: {
+      border: '2px solid transparent',
+      borderRadius: radius.small,
+      padding: '0.5rem',
+      transition: 'all 0.2s ease',
+    },
+    
+    // Options slider
+    slider: {
+      WebkitAppearance: 'none',
+      appearance: 'none',
+      width: '100%',
+      height: '8px',
+      background: 'rgba(0, 0, 0, 0.5)',
+      borderRadius: radius.small,
+      outline: 'none',
+      cursor: 'pointer',
+    },
+    
+    // Radio comms box: portrait frame beside the speaker's line
+    commsBox: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '1rem',
+      minHeight: '72px',
+      padding: '0.75rem 1rem',
+      marginBottom: '1.5rem',
+      background: 'rgba(0, 0, 0, 0.5)',
+      border: `2px solid ${alpha(palette.primary, 0.6)}`,
+      borderRadius: radius.small,
+      boxSizing: 'border-box',
+    },
+    
+    commsPortrait: {
+      flexShrink: 0,
+      width: '56px',
+      height: '56px',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '2rem',
+      background: alpha(palette.primary, 0.1),
+      border: `2px solid ${palette.primary}`,
+      borderRadius: radius.small,
+      boxShadow: glow(`inset 0 0 12px ${alpha(palette.primary, 0.4)}`),
+    },
+    
+    // Layer holding one screen while transitions overlap them
+    screenLayer: {
+      position: 'absolute',
+      inset: 0,
+      zIndex: 1,
+    },
+    
+    // Pause menu over a running level: the game stays visible behind it
+    pauseOverlay: {
+      position: 'fixed',
+      inset: 0,
+      background: alpha(palette.background, 0.75),
+      fontFamily: fonts.body,
+      color: palette.text,
+      overflow: 'hidden',
+      zIndex: 1000,
+    },
+    
+    // Read by screen readers but not drawn
+    visuallyHidden: {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: 0,
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: 0,
+    },
+  };
+};
+
+// Inline styles can't declare keyframes, so they are injected once as CSS
+const MENU_KEYFRAMES = `
+@keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
+@keyframes slideIn { from { transform: translateY(20px); opacity: 0; } to { transform: translateY(0); opacity: 1; } }
+@keyframes menuFadeIn { from { opacity: 0; } to { opacity: 1; } }
+@keyframes menuFadeOut { from { opacity: 1; } to { opacity: 0; } }
+@keyframes menuSlideIn { from { transform: translateX(100%); } to { transform: translateX(0); } }
+@keyframes menuSlideOut { from { transform: translateX(0); } to { transform: translateX(-100%); } }
+@keyframes menuWipeIn { from { clip-path: inset(0 100% 0 0); } to { clip-path: inset(0 0 0 0); } }
+@keyframes menuWipeOut { from { opacity: 1; } to { opacity: 0.4; } }
+@keyframes menuCrtOn {
+  0% { transform: scale(1, 0.005); filter: brightness(4); opacity: 0; }
+  40% { transform: scale(1, 0.005); filter: brightness(4); opacity: 1; }
+  100% { transform: scale(1, 1); filter: brightness(1); opacity: 1; }
+}
+@keyframes menuCrtOff {
+  0% { transform: scale(1, 1); filter: brightness(1); opacity: 1; }
+  60% { transform: scale(1, 0.005); filter: brightness(4); opacity: 1; }
+  100% { transform: scale(0, 0.005); opacity: 0; }
+}
+`;
+
+// A resolved theme and the styles built from it
+const buildThemeValue = (theme) => {
+  const resolved = createTheme(theme);
+  return { ...resolved, styles: createStyles(resolved) };
+};
+
+const ThemeContext = createContext(buildThemeValue('n64'));
+
+/**
+ * Current theme: { name, palette, fonts, radius, effects, styles }.
+ * Outside the menu system's provider it is the N64 preset.
+ */
+const useTheme = () => useContext(ThemeContext);
+
+// ============================================================================
+// MENU AUDIO - Web Audio Buses, Music and UI Sounds
+// ============================================================================
+
+const AUDIO_BUSES = ['music', 'sfx', 'voice'];
+
+// Synthesised UI sounds, so the menu makes noise without any audio files.
+// Each note plays for `duration` seconds, one after the other.
+const MENU_SOUND_PRESETS = {
+  hover: { wave: 'square', notes: [1320], duration: 0.03, gain: 0.08 },
+  confirm: { wave: 'square', notes: [880, 1320], duration: 0.06, gain: 0.12 },
+  back: { wave: 'square', notes: [660, 440], duration: 0.06, gain: 0.12 },
+  locked: { wave: 'sawtooth', notes: [110, 98], duration: 0.09, gain: 0.15 },
+};
+
+/**
+ * Creates the menu's audio engine: a master bus feeding music, sfx and
+ * voice buses, looping music tracks that crossfade, and one-shot UI
+ * sounds. Pass the handle to the menu as `audioEngine` to share the buses
+ * with the game; connect your own nodes to `buses.sfx` and friends.
+ * Without Web Audio (SSR, tests) every method is a no-op. Call close()
+ * when done with it.
+ *
+ * @param {object} sounds - Sound name -> file URL, a preset-style synth
+ *   ({ wave, notes, duration, gain }) or null to silence it. Merged over
+ *   MENU_SOUND_PRESETS.
+ * @param {number} crossfade - Default music crossfade in milliseconds
+ * @param {AudioContext} context - Context to use instead of making one;
+ *   close() leaves it open for its owner
+ */
+const createMenuAudio = ({ sounds = {}, crossfade = 1000, context: providedContext } = {}) => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  const context = providedContext || (AudioContextClass ? new AudioContextClass() : null);
+  const soundTable = { ...MENU_SOUND_PRESETS, ...sounds };
+  const bufferCache = new Map();
+  const buses = {};
+  let music = null;
+  let musicUrl = null;
+  let voice = null;
+  let voiceRequest = 0;
+  let unlock = null;
+  
+  if (context) {
+    buses.master = context.createGain();
+    buses.master.connect(context.destination);
+    AUDIO_BUSES.forEach((name) => {
+      buses[name] = context.createGain();
+      buses[name].connect(buses.master);
     });
     
-    return () => {
-      cancelAnimationFrame(animationId);
-      window.removeEventListener('resize', resize);
-    };
-  }, []);
+    // Browsers start audio suspended until the first user gesture
+    if (typeof window !== 'undefined') {
+      unlock = () => {
+        if (context.state === 'suspended') context.resume();
+        window.removeEventListener('pointerdown', unlock);
+        window.removeEventListener('keydown', unlock);
+      };
+      window.addEventListener('pointerdown', unlock);
+      window.addEventListener('keydown', unlock);
+    }
+  }
   
-  return (
-    <canvas
-      ref={canvasRef}
-      style={{
-        position: 'absolute',
-        inset: 0,
-        zIndex: 0,
-      }}
-    />
+  const loadBuffer = (url) => {
+    if (!context) return Promise.resolve(null);
+    if (!bufferCache.has(url)) {
+      const loading = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Failed to load audio ${url}: ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((data) => context.decodeAudioData(data));
+      // Let a failed load be retried later
+      loading.catch(() => bufferCache.delete(url));
+      bufferCache.set(url, loading);
+    }
+    return bufferCache.get(url);
+  };
+  
+  // Volumes are 0-1, as stored in the options
+  const setVolumes = ({ masterVolume, musicVolume, sfxVolume, voiceVolume }) => {
+    if (!context) return;
+    const levels = { master: masterVolume, music: musicVolume, sfx: sfxVolume, voice: voiceVolume };
+    Object.entries(levels).forEach(([name, level]) => {
+      if (typeof level === 'number') buses[name].gain.setTargetAtTime(level, context.currentTime, 0.015);
+    });
+  };
+  
+  const fadeOutMusic = (fadeSeconds) => {
+    if (!music) return;
+    const { source, gain } = music;
+    const now = context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(0, now + fadeSeconds);
+    source.stop(now + fadeSeconds);
+    music = null;
+  };
+  
+  /**
+   * Crossfades to a looping track; null fades the music out. Asking for
+   * the track already playing does nothing.
+   */
+  const playMusic = async (url, { fade = crossfade } = {}) => {
+    if (!context || url === musicUrl) return;
+    musicUrl = url;
+    const fadeSeconds = fade / 1000;
+    fadeOutMusic(fadeSeconds);
+    if (!url) return;
+    
+    try {
+      const buffer = await loadBuffer(url);
+      // Another track was asked for while this one loaded
+      if (musicUrl !== url) return;
+      
+      const now = context.currentTime;
+      const source = context.createBufferSource();
+      const gain = context.createGain();
+      source.buffer = buffer;
+      source.loop = true;
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(1, now + fadeSeconds);
+      source.connect(gain);
+      gain.connect(buses.music);
+      source.start(now);
+      music = { source, gain };
+    } catch (error) {
+      console.error('Failed to play music track:', error);
+      if (musicUrl === url) musicUrl = null;
+    }
+  };
+  
+  const playSynth = ({ wave = 'square', notes = [], duration = 0.05, gain: level = 0.1 }, destination) => {
+    const start = context.currentTime;
+    notes.forEach((frequency, index) => {
+      const noteStart = start + index * duration;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = wave;
+      oscillator.frequency.setValueAtTime(frequency, noteStart);
+      gain.gain.setValueAtTime(level, noteStart);
+      gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + duration);
+      oscillator.connect(gain);
+      gain.connect(destination);
+      oscillator.start(noteStart);
+      oscillator.stop(noteStart + duration);
+    });
+  };
+  
+  // One-shot sound by name ('hover', 'confirm', 'back', 'locked' or your own)
+  const playSound = async (name, { bus = 'sfx' } = {}) => {
+    const sound = soundTable[name];
+    if (!context || !sound) return;
+    const destination = buses[bus] || buses.sfx;
+    
+    if (typeof sound !== 'string') {
+      playSynth(sound, destination);
+      return;
+    }
+    
+    try {
+      const source = context.createBufferSource();
+      source.buffer = await loadBuffer(sound);
+      source.connect(destination);
+      source.start();
+    } catch (error) {
+      console.error('Failed to play sound:', error);
+    }
+  };
+  
+  const stopVoice = () => {
+    voiceRequest += 1;
+    if (voice) voice.stop();
+    voice = null;
+  };
+  
+  /**
+   * Plays a voice clip on the voice bus, cutting off the one before.
+   * Resolves with the clip's length in seconds, or null if nothing played.
+   */
+  const playVoice = async (url) => {
+    stopVoice();
+    if (!context || !url) return null;
+    const request = voiceRequest;
+    
+    try {
+      const buffer = await loadBuffer(url);
+      // Stopped or replaced while loading
+      if (request !== voiceRequest) return null;
+      
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(buses.voice);
+      source.start();
+      voice = source;
+      return buffer.duration;
+    } catch (error) {
+      console.error('Failed to play voice clip:', error);
+      return null;
+    }
+  };
+  
+  // Silences the engine and closes its AudioContext, unless the context
+  // was passed in, in which case its owner closes it
+  const close = () => {
+    stopVoice();
+    playMusic(null, { fade: 0 });
+    if (unlock) {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    }
+    if (context && !providedContext && context.state !== 'closed') {
+      context.close().catch(error => console.error('Failed to close audio context:', error));
+    }
+  };
+  
+  return {
+    context,
+    buses,
+    setVolumes,
+    playMusic,
+    stopMusic: (options) => playMusic(null, options),
+    playSound,
+    playVoice,
+    stopVoice,
+    loadBuffer,
+    close,
+  };
+};
+
+const MenuAudioContext = createContext(null);
+
+/**
+ * The menu's audio engine (see createMenuAudio), or null when audio is off.
+ */
+const useMenuAudio = () => useContext(MenuAudioContext);
+
+// ============================================================================
+// ANIMATED BACKGROUND COMPONENT
+// ============================================================================
+
+/**
+ * Scrolling starfield. A frozen field is drawn once and only redrawn on
+ * resize, for the Reduce Motion option.
+ */
+const AnimatedBackground = ({ frozen = false }) => {
+  const { palette } = useTheme();
+  const canvasRef = useRef(null);
+  
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    let animationId;
+    const stars = [];
+    
+    const resize = () => {
+      canvas.width = window.innerWidth;
+      canvas.height = window.innerHeight;
+    };
+    
+    const initStars = () => {
+      stars.length = 0;
+      for (let i = 0; i < 150; i++) {
+        stars.push({
+          x: Math.random() * canvas.width,
+          y: Math.random() * canvas.height,
+          size: Math.random() * 2 + 0.5,
+          speed: Math.random() * 2 + 0.5,
+          opacity: Math.random() * 0.8 + 0.2,
+        });
+      }
+    };
+    
+    const drawStars = () => {
+      stars.forEach(star => {
+        ctx.beginPath();
+        ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+        ctx.fillStyle = alpha(palette.textStrong, star.opacity);
+        ctx.fill();
+      });
+    };
+    
+    const animate = () => {
+      ctx.fillStyle = alpha(palette.background, 0.2);
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      
+      stars.forEach(star => {
+        star.x -= star.speed;
+        if (star.x < 0) {
+          star.x = canvas.width;
+          star.y = Math.random() * canvas.height;
+        }
+      });
+      drawStars();
+      
+      animationId = requestAnimationFrame(animate);
+    };
+    
+    const handleResize = () => {
+      resize();
+      initStars();
+      if (frozen) drawStars();
+    };
+    
+    resize();
+    initStars();
+    if (frozen) {
+      drawStars();
+    } else {
+      animate();
+    }
+    
+    window.addEventListener('resize', handleResize);
+    
+    return () => {
+      cancelAnimationFrame(animationId);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [palette, frozen]);
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      style={{
+        position: 'absolute',
+        inset: 0,
+        zIndex: 0,
+      }}
+    />
+  );
+};
+
+// ============================================================================
+// INPUT NAVIGATION - Keyboard & Gamepad Focus System
+// ============================================================================
+
+// Keyboard keys mapped to navigation actions
+const KEY_ACTIONS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Enter: 'confirm',
+  ' ': 'confirm',
+  Escape: 'back',
+  Backspace: 'back',
+  PageUp: 'bumperLeft',
+  PageDown: 'bumperRight',
+  q: 'bumperLeft',
+  e: 'bumperRight',
+};
+
+// Standard Gamepad API button indices mapped to navigation actions
+const GAMEPAD_BUTTON_ACTIONS = {
+  0: 'confirm',     // A / Cross
+  1: 'back',        // B / Circle
+  4: 'bumperLeft',  // LB / L1
+  5: 'bumperRight', // RB / R1
+  9: 'start',       // Start / Options
+  12: 'up',
+  13: 'down',
+  14: 'left',
+  15: 'right',
+};
+
+// Opens the pause menu over a running level (the Start button is 9 above)
+const PAUSE_KEY = 'Escape';
+const PAUSE_BUTTON = 9;
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+const REPEATABLE_ACTIONS = [...DIRECTIONS, 'bumperLeft', 'bumperRight'];
+const STICK_THRESHOLD = 0.5;
+const REPEAT_DELAY = 400;
+const REPEAT_INTERVAL = 120;
+
+const NavigationContext = createContext(null);
+
+/**
+ * Picks the closest focusable item in the given direction, measured between
+ * element centres. Off-axis distance is weighted so that items roughly in line
+ * win over nearer diagonal ones.
+ */
+const findSpatialNeighbour = (items, fromId, direction) => {
+  const fromElement = items.get(fromId)?.ref.current;
+  if (!fromElement) return null;
+  
+  const fromRect = fromElement.getBoundingClientRect();
+  const fromX = fromRect.left + fromRect.width / 2;
+  const fromY = fromRect.top + fromRect.height / 2;
+  const horizontal = direction === 'left' || direction === 'right';
+  const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+  
+  let best = null;
+  let bestScore = Infinity;
+  
+  items.forEach((item, id) => {
+    if (id === fromId || item.handlersRef.current.disabled || !item.ref.current) return;
+    
+    const rect = item.ref.current.getBoundingClientRect();
+    const dx = rect.left + rect.width / 2 - fromX;
+    const dy = rect.top + rect.height / 2 - fromY;
+    const primary = (horizontal ? dx : dy) * sign;
+    const secondary = Math.abs(horizontal ? dy : dx);
+    
+    if (primary <= 1) return;
+    
+    const score = primary + secondary * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = id;
+    }
+  });
+  
+  return best;
+};
+
+const isTextEntryTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+  return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(target.type);
+};
+
+/**
+ * NavigationProvider - Owns the focus state for keyboard and gamepad input.
+ * 
+ * Focusable elements register through useFocusable; the provider moves focus
+ * between them spatially (arrow keys / D-pad / left stick), activates the
+ * focused item (Enter / A), adjusts it (PageUp/PageDown / bumpers) and calls
+ * the current screen's back handler (Escape / B). While locked (e.g. during
+ * a screen transition) input is ignored but held buttons are still tracked,
+ * so a press that started before the lock doesn't fire when it lifts. With
+ * dir 'rtl' left/right adjustments are mirrored to match the layout.
+ * onSound(name) is called with 'hover', 'confirm', 'back' or 'locked' as
+ * focus moves and items are activated.
+ */
+const NavigationProvider = ({ children, enabled = true, locked = false, dir = 'ltr', onSound }) => {
+  const itemsRef = useRef(new Map());
+  const onSoundRef = useRef(onSound);
+  onSoundRef.current = onSound;
+  const lockedRef = useRef(locked);
+  lockedRef.current = locked;
+  const adjustSignRef = useRef(1);
+  adjustSignRef.current = dir === 'rtl' ? -1 : 1;
+  const backHandlerRef = useRef(null);
+  const captureHandlerRef = useRef(null);
+  const [focusedId, setFocusedId] = useState(null);
+  const [inputMode, setInputMode] = useState('pointer');
+  const focusedIdRef = useRef(null);
+  const inputModeRef = useRef('pointer');
+  
+  focusedIdRef.current = focusedId;
+  inputModeRef.current = inputMode;
+  
+  const getFirstFocusable = () => {
+    let first = null;
+    let autoFocused = null;
+    itemsRef.current.forEach((item, id) => {
+      if (item.handlersRef.current.disabled) return;
+      if (!first) first = id;
+      if (!autoFocused && item.handlersRef.current.autoFocus) autoFocused = id;
+    });
+    return autoFocused || first;
+  };
+  
+  const register = useCallback((id, item) => {
+    itemsRef.current.set(id, item);
+    if (inputModeRef.current === 'directional' && !item.handlersRef.current.disabled) {
+      setFocusedId(current => (current === null || item.handlersRef.current.autoFocus ? id : current));
+    }
+    
+    return () => {
+      itemsRef.current.delete(id);
+      setFocusedId(current => (current === id ? null : current));
+    };
+  }, []);
+  
+  const playSound = useCallback((name) => {
+    if (onSoundRef.current) onSoundRef.current(name);
+  }, []);
+  
+  const pointerEnter = useCallback((id) => {
+    if (id !== focusedIdRef.current) playSound('hover');
+    setInputMode('pointer');
+    setFocusedId(id);
+  }, []);
+  
+  const pointerLeave = useCallback((id) => {
+    if (inputModeRef.current !== 'pointer') return;
+    setFocusedId(current => (current === id ? null : current));
+  }, []);
+  
+  // Tab, a click or a screen reader put the browser focus on an item
+  const domFocus = useCallback((id) => {
+    if (id !== focusedIdRef.current) playSound('hover');
+    setFocusedId(id);
+  }, []);
+  
+  // Moves focus and takes the browser focus along so screen readers follow.
+  // Rows that are not focusable themselves hand it to their first control.
+  const moveFocus = (id) => {
+    playSound('hover');
+    focusedIdRef.current = id;
+    setFocusedId(id);
+    const element = itemsRef.current.get(id)?.ref.current;
+    if (!element || typeof document === 'undefined' || element.contains(document.activeElement)) return;
+    const target = element.tabIndex >= 0 ? element : element.querySelector('button, input, select');
+    if (target) target.focus({ preventScroll: true });
+  };
+  
+  const setBackHandler = useCallback((handler) => {
+    backHandlerRef.current = handler;
+    return () => {
+      if (backHandlerRef.current === handler) backHandlerRef.current = null;
+    };
+  }, []);
+  
+  const setCaptureHandler = useCallback((handler) => {
+    captureHandlerRef.current = handler;
+    return () => {
+      if (captureHandlerRef.current === handler) captureHandlerRef.current = null;
+    };
+  }, []);
+  
+  const dispatch = useCallback((action) => {
+    if (lockedRef.current) return;
+    setInputMode('directional');
+    
+    if (captureHandlerRef.current && captureHandlerRef.current(action)) return;
+    
+    if (action === 'back') {
+      if (backHandlerRef.current) {
+        playSound('back');
+        backHandlerRef.current();
+      }
+      return;
+    }
+    
+    const focused = itemsRef.current.get(focusedIdRef.current);
+    if (!focused || focused.handlersRef.current.disabled) {
+      const first = getFirstFocusable();
+      if (first) moveFocus(first);
+      return;
+    }
+    
+    const { onActivate, onAdjust, onDirection, sound } = focused.handlersRef.current;
+    
+    if (DIRECTIONS.includes(action)) {
+      // Widgets with their own directional controls get first refusal
+      if (onDirection && onDirection(action)) return;
+      
+      const next = findSpatialNeighbour(itemsRef.current, focusedIdRef.current, action);
+      if (next) {
+        moveFocus(next);
+      } else if (onAdjust && (action === 'left' || action === 'right')) {
+        onAdjust((action === 'left' ? -1 : 1) * adjustSignRef.current);
+      }
+      return;
+    }
+    
+    if (action === 'confirm' || action === 'start') {
+      if (onActivate) {
+        if (sound) playSound(sound);
+        onActivate();
+      }
+    } else if (action === 'bumperLeft' || action === 'bumperRight') {
+      if (onAdjust) onAdjust((action === 'bumperLeft' ? -1 : 1) * adjustSignRef.current);
+    }
+  }, []);
+  
+  // Keyboard input
+  useEffect(() => {
+    if (!enabled) return undefined;
+    
+    const handleKeyDown = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+      if (isTextEntryTarget(event.target)) return;
+      
+      const action = KEY_ACTIONS[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+      if (!action) return;
+      
+      event.preventDefault();
+      if (event.repeat && !REPEATABLE_ACTIONS.includes(action)) return;
+      dispatch(action);
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, dispatch]);
+  
+  // Gamepad input (polled, with held-direction auto-repeat)
+  useEffect(() => {
+    if (!enabled || typeof navigator === 'undefined' || !navigator.getGamepads) return undefined;
+    
+    // Buttons already down on the first poll (the Start press that opened
+    // the pause menu, a fire button held as a level ends) are ignored until
+    // they are released
+    const held = {};
+    let primed = false;
+    let frameId;
+    
+    const poll = (now) => {
+      const active = new Set();
+      
+      Array.from(navigator.getGamepads()).forEach((pad) => {
+        if (!pad) return;
+        
+        Object.entries(GAMEPAD_BUTTON_ACTIONS).forEach(([index, action]) => {
+          if (pad.buttons[index]?.pressed) active.add(action);
+        });
+        
+        const [x = 0, y = 0] = pad.axes;
+        if (x < -STICK_THRESHOLD) active.add('left');
+        if (x > STICK_THRESHOLD) active.add('right');
+        if (y < -STICK_THRESHOLD) active.add('up');
+        if (y > STICK_THRESHOLD) active.add('down');
+      });
+      
+      active.forEach((action) => {
+        const state = held[action];
+        if (!primed) {
+          held[action] = { since: now, last: now, stale: true };
+        } else if (!state) {
+          held[action] = { since: now, last: now };
+          dispatch(action);
+        } else if (
+          !state.stale &&
+          REPEATABLE_ACTIONS.includes(action) &&
+          now - state.since > REPEAT_DELAY &&
+          now - state.last > REPEAT_INTERVAL
+        ) {
+          state.last = now;
+          dispatch(action);
+        }
+      });
+      
+      Object.keys(held).forEach((action) => {
+        if (!active.has(action)) delete held[action];
+      });
+      primed = true;
+      
+      frameId = requestAnimationFrame(poll);
+    };
+    
+    frameId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frameId);
+  }, [enabled, dispatch]);
+  
+  const value = useMemo(() => ({
+    focusedId,
+    register,
+    pointerEnter,
+    pointerLeave,
+    domFocus,
+    playSound,
+    setBackHandler,
+    setCaptureHandler,
+    dispatch,
+  }), [focusedId, register, pointerEnter, pointerLeave, domFocus, playSound, setBackHandler, setCaptureHandler, dispatch]);
+  
+  return (
+    <NavigationContext.Provider value={value}>
+      {children}
+    </NavigationContext.Provider>
+  );
+};
+
+/**
+ * Registers an element with the navigation system.
+ * Returns a ref for the element, its focus state, and pointer and DOM focus
+ * handlers so browser focus (Tab, screen readers) moves the focus too.
+ * `sound` names the UI sound played on activation ('confirm' by default);
+ * clicks play it through playActivateSound().
+ * onDirection(action) may return true to consume a direction instead of
+ * moving focus. Outside a NavigationProvider it degrades to plain hover
+ * tracking.
+ */
+const useFocusable = ({ onActivate, onAdjust, onDirection, disabled = false, autoFocus = false, sound = 'confirm' } = {}) => {
+  const nav = useContext(NavigationContext);
+  const id = useId();
+  const ref = useRef(null);
+  const handlersRef = useRef({});
+  const [isHovered, setIsHovered] = useState(false);
+  
+  handlersRef.current = { onActivate, onAdjust, onDirection, disabled, autoFocus, sound };
+  
+  useEffect(() => {
+    if (!nav) return undefined;
+    return nav.register(id, { ref, handlersRef });
+  }, [nav?.register, id]);
+  
+  return {
+    ref,
+    isFocused: nav ? nav.focusedId === id : isHovered,
+    onMouseEnter: () => (nav ? nav.pointerEnter(id) : setIsHovered(true)),
+    onMouseLeave: () => (nav ? nav.pointerLeave(id) : setIsHovered(false)),
+    onFocus: () => nav && nav.domFocus(id),
+    playActivateSound: () => nav && sound && nav.playSound(disabled ? 'locked' : sound),
+  };
+};
+
+/**
+ * Binds the back action (Escape / B) to a handler while the caller is mounted.
+ */
+const useNavBack = (handler) => {
+  const nav = useContext(NavigationContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  
+  useEffect(() => {
+    if (!nav || !handler) return undefined;
+    return nav.setBackHandler(() => handlerRef.current());
+  }, [nav?.setBackHandler, !!handler]);
+};
+
+/**
+ * Sees every navigation action before the focused item and the back handler
+ * while the caller is mounted and passes a handler. Returning true swallows
+ * the action, e.g. to let any button skip an animation.
+ */
+const useNavCapture = (handler) => {
+  const nav = useContext(NavigationContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  
+  useEffect(() => {
+    if (!nav || !handler) return undefined;
+    return nav.setCaptureHandler((action) => handlerRef.current(action));
+  }, [nav?.setCaptureHandler, !!handler]);
+};
+
+/**
+ * Calls onPause when Escape or a gamepad's Start button is pressed while
+ * enabled. It listens on its own because the menu (and its navigation) is
+ * unmounted while a level runs. A Start button already held when it is
+ * enabled must be released first.
+ */
+const usePauseInput = (enabled, onPause) => {
+  const onPauseRef = useRef(onPause);
+  onPauseRef.current = onPause;
+  
+  useEffect(() => {
+    if (!enabled) return undefined;
+    
+    const handleKeyDown = (event) => {
+      if (event.key !== PAUSE_KEY || event.repeat) return;
+      if (isTextEntryTarget(event.target)) return;
+      event.preventDefault();
+      onPauseRef.current();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    
+    let frameId = null;
+    if (typeof navigator !== 'undefined' && navigator.getGamepads) {
+      let wasPressed = true;
+      const poll = () => {
+        const pressed = Array.from(navigator.getGamepads()).some(pad => pad?.buttons[PAUSE_BUTTON]?.pressed);
+        if (pressed && !wasPressed) onPauseRef.current();
+        wasPressed = pressed;
+        frameId = requestAnimationFrame(poll);
+      };
+      frameId = requestAnimationFrame(poll);
+    }
+    
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [enabled]);
+};
+
+/**
+ * Generic focusable container for cards, map nodes and option rows.
+ * Clickable items are exposed as buttons in the tab order unless the caller
+ * passes its own role or tabIndex.
+ */
+const FocusableItem = ({
+  children,
+  onActivate,
+  onAdjust,
+  onDirection,
+  onClick,
+  disabled,
+  autoFocus,
+  sound,
+  style,
+  focusedStyle,
+  ...rest
+}) => {
+  const focus = useFocusable({ onActivate, onAdjust, onDirection, disabled, autoFocus, sound });
+  const clickable = Boolean(onClick);
+  
+  return (
+    <div
+      role={clickable ? 'button' : undefined}
+      tabIndex={clickable ? (disabled ? -1 : 0) : undefined}
+      aria-disabled={clickable && disabled ? true : undefined}
+      {...rest}
+      onClick={clickable ? (event) => {
+        focus.playActivateSound();
+        onClick(event);
+      } : undefined}
+      ref={focus.ref}
+      onMouseEnter={focus.onMouseEnter}
+      onMouseLeave={focus.onMouseLeave}
+      onFocus={focus.onFocus}
+      style={{
+        ...style,
+        ...(focus.isFocused ? focusedStyle : {}),
+      }}
+    >
+      {typeof children === 'function' ? children(focus.isFocused) : children}
+    </div>
+  );
+};
+
+// ============================================================================
+// BUTTON COMPONENT WITH HOVER EFFECTS
+// ============================================================================
+
+const MenuButton = ({ children, onClick, disabled, selected, autoFocus, variant = 'primary', size, sound }) => {
+  const { palette, styles } = useTheme();
+  const focus = useFocusable({ onActivate: onClick, disabled, autoFocus, sound });
+  
+  const getVariantStyles = () => {
+    switch (variant) {
+      case 'danger':
+        return {
+          border: `2px solid ${palette.danger}`,
+          color: palette.danger,
+        };
+      case 'secondary':
+        return {
+          border: `2px solid ${palette.textMuted}`,
+          color: palette.textMuted,
+        };
+      default:
+        return {};
+    }
+  };
+  
+  return (
+    <button
+      ref={focus.ref}
+      onClick={(event) => {
+        focus.playActivateSound();
+        if (onClick) onClick(event);
+      }}
+      disabled={disabled}
+      aria-pressed={selected === undefined ? undefined : Boolean(selected)}
+      onMouseEnter={focus.onMouseEnter}
+      onMouseLeave={focus.onMouseLeave}
+      onFocus={focus.onFocus}
+      style={{
+        ...styles.menuButton,
+        ...(size === 'small' ? styles.menuButtonSmall : {}),
+        ...getVariantStyles(),
+        ...(focus.isFocused && !disabled ? styles.menuButtonHover : {}),
+        ...(disabled ? styles.menuButtonDisabled : {}),
+        ...(selected ? styles.cardSelected : {}),
+      }}
+    >
+      {children}
+    </button>
+  );
+};
+
+// ============================================================================
+// MAIN MENU SCREEN
+// ============================================================================
+
+const HIGH_SCORE_ATTRACT_INTERVAL = 5000;
+
+// Attract loop: cycles through every table that has entries
+const HighScoreAttract = ({ tables }) => {
+  const { palette, radius } = useTheme();
+  const { t } = useLocale();
+  const keys = Object.keys(tables).filter(key => tables[key].length > 0).sort();
+  const [index, setIndex] = useState(0);
+  
+  useEffect(() => {
+    if (keys.length < 2) return;
+    const timer = setInterval(() => setIndex(current => current + 1), HIGH_SCORE_ATTRACT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [keys.length]);
+  
+  if (keys.length === 0) return null;
+  const key = keys[index % keys.length];
+  
+  return (
+    <div style={{
+      marginTop: '2rem',
+      padding: '1rem 1.5rem',
+      minWidth: '280px',
+      background: 'rgba(0, 0, 0, 0.4)',
+      border: `1px solid ${alpha(palette.accent, 0.3)}`,
+      borderRadius: radius.small,
+    }}>
+      <HighScoreTable title={formatHighScoreTitle(key, t)} entries={tables[key].slice(0, 5)} />
+    </div>
+  );
+};
+
+const MainMenuScreen = ({ onNewGame, onContinue, onBossRush, onRecords, onOptions, hasSaveData, completedRuns, highScores = {} }) => {
+  const { palette, radius, styles } = useTheme();
+  const { t } = useLocale();
+  return (
+    <div style={styles.screenContent}>
+      <h1 style={styles.title}>{t('mainMenu.title')}</h1>
+      <p style={styles.subtitle}>{t('mainMenu.tagline')}</p>
+      
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.5rem' }}>
+        <MenuButton onClick={onNewGame}>
+          {t('mainMenu.newGame')}
+        </MenuButton>
+        
+        <MenuButton onClick={onContinue} disabled={!hasSaveData}>
+          {t('common.continue')}
+        </MenuButton>
+        
+        {onBossRush && (
+          <MenuButton onClick={onBossRush}>
+            {t('mainMenu.bossRush')}
+          </MenuButton>
+        )}
+        
+        <MenuButton onClick={onRecords}>
+          {t('mainMenu.records')}
+        </MenuButton>
+        
+        <MenuButton onClick={onOptions}>
+          {t('mainMenu.options')}
+        </MenuButton>
+        
+        {completedRuns > 0 && (
+          <div style={{
+            marginTop: '2rem',
+            padding: '1rem',
+            background: alpha(palette.accent, 0.1),
+            border: `1px solid ${alpha(palette.accent, 0.3)}`,
+            borderRadius: radius.small,
+            textAlign: 'center',
+          }}>
+            <div style={{ color: palette.accent, fontSize: '0.9rem', marginBottom: '0.5rem' }}>
+              {t('mainMenu.newGamePlusUnlocked')}
+            </div>
+            <div style={{ color: palette.textMuted, fontSize: '0.8rem' }}>
+              {t('mainMenu.runsCompleted', { count: completedRuns })}
+            </div>
+          </div>
+        )}
+        
+        <HighScoreAttract tables={highScores} />
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SAVE SLOT SCREEN
+// ============================================================================
+
+const SaveSlotScreen = ({ slots, mode, onSelectSlot, onCopySlot, onDeleteSlot, onBack }) => {
+  const { palette, styles } = useTheme();
+  const { dir, t, localize, formatDateTime } = useLocale();
+  const { campaign } = useGameData();
+  // Pending action awaiting confirmation: { action, slotId, targetId }
+  const [pending, setPending] = useState(null);
+  
+  useNavBack(() => (pending ? setPending(null) : onBack()));
+  
+  const handleSlotClick = (slot) => {
+    if (pending && pending.action !== 'copy') return;
+    
+    if (pending?.action === 'copy') {
+      if (slot.slotId === pending.slotId) return;
+      if (slot.progress) {
+        setPending({ action: 'copyOverwrite', slotId: pending.slotId, targetId: slot.slotId });
+      } else {
+        onCopySlot(pending.slotId, slot.slotId);
+        setPending(null);
+      }
+      return;
+    }
+    
+    if (mode === 'new' && slot.progress) {
+      setPending({ action: 'overwrite', slotId: slot.slotId });
+    } else if (mode === 'new' || slot.progress) {
+      onSelectSlot(slot.slotId);
+    }
+  };
+  
+  const handleConfirm = () => {
+    switch (pending.action) {
+      case 'overwrite':
+        onSelectSlot(pending.slotId);
+        break;
+      case 'delete':
+        onDeleteSlot(pending.slotId);
+        break;
+      case 'copyOverwrite':
+        onCopySlot(pending.slotId, pending.targetId);
+        break;
+      default:
+        break;
+    }
+    setPending(null);
+  };
+  
+  const getPrompt = () => {
+    switch (pending?.action) {
+      case 'overwrite':
+        return t('saveSlots.confirmOverwrite', { slot: pending.slotId });
+      case 'delete':
+        return t('saveSlots.confirmDelete', { slot: pending.slotId });
+      case 'copyOverwrite':
+        return t('saveSlots.confirmCopy', { slot: pending.slotId, target: pending.targetId });
+      default:
+        return null;
+    }
+  };
+  
+  const prompt = getPrompt();
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2rem' }}>
+        {mode === 'new' ? t('saveSlots.newGame') : t('saveSlots.continue')}
+      </h2>
+      <p style={styles.subtitle}>
+        {pending?.action === 'copy'
+          ? t('saveSlots.selectCopyTarget', { slot: pending.slotId })
+          : t('saveSlots.select')}
+      </p>
+      
+      <div style={styles.panel}>
+        {slots.map((slot) => {
+          const { slotId, progress } = slot;
+          const levelData = progress && campaign.levels[progress.currentLevel];
+          const isSource = pending?.slotId === slotId;
+          const isSelectable = pending?.action === 'copy'
+            ? !isSource
+            : mode === 'new' || !!progress;
+          
+          return (
+            <div
+              key={slotId}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}
+            >
+              <FocusableItem
+                onClick={() => handleSlotClick(slot)}
+                onActivate={() => handleSlotClick(slot)}
+                disabled={!isSelectable || !!prompt}
+                style={{
+                  ...styles.card,
+                  margin: 0,
+                  ...(isSource ? styles.cardSelected : {}),
+                  ...(!isSelectable ? { opacity: 0.4, cursor: 'not-allowed' } : {}),
+                }}
+                focusedStyle={styles.menuButtonHover}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '0.5rem' }}>
+                  <span style={{ fontWeight: 900, color: palette.accent }}>{t('common.slot', { slot: slotId })}</span>
+                  {progress?.savedAt && (
+                    <span style={{ fontSize: '0.75rem', color: palette.textMuted }}>
+                      {formatDateTime(progress.savedAt)}
+                    </span>
+                  )}
+                </div>
+                
+                {progress ? (
+                  <>
+                    <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                      <span style={{ color: palette.primary }}>{localize(levelData?.name) || progress.currentLevel}</span>
+                      <span>{t('common.points', { score: progress.totalScore || 0 })}</span>
+                      {progress.completedRuns > 0 && (
+                        <span style={{ color: palette.accent }}>{t('common.newGamePlusTier', { tier: progress.completedRuns })}</span>
+                      )}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: palette.textMuted }}>
+                      {progress.completedLevels?.length
+                        ? formatPath(progress.completedLevels, dir)
+                        : t('saveSlots.noMissions')}
+                    </div>
+                  </>
+                ) : (
+                  <div style={{ fontSize: '0.85rem', color: palette.textDim }}>{t('common.empty')}</div>
+                )}
+              </FocusableItem>
+              
+              {progress && (
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                  <MenuButton
+                    size="small"
+                    variant="secondary"
+                    disabled={!!pending}
+                    onClick={() => setPending({ action: 'copy', slotId })}
+                  >
+                    {t('saveSlots.copy')}
+                  </MenuButton>
+                  <MenuButton
+                    size="small"
+                    variant="danger"
+                    disabled={!!pending}
+                    onClick={() => setPending({ action: 'delete', slotId })}
+                  >
+                    {t('saveSlots.delete')}
+                  </MenuButton>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        
+        {prompt ? (
+          <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
+            <div style={{ color: palette.accent, marginBottom: '1rem' }}>{prompt}</div>
+            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+              <MenuButton variant="secondary" onClick={() => setPending(null)}>
+                {t('common.cancel')}
+              </MenuButton>
+              <MenuButton
+                variant={pending.action === 'delete' ? 'danger' : 'primary'}
+                onClick={handleConfirm}
+                autoFocus
+              >
+                {t('common.confirm')}
+              </MenuButton>
+            </div>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1.5rem' }}>
+            <MenuButton variant="secondary" sound="back" onClick={pending ? () => setPending(null) : onBack}>
+              {pending ? t('common.cancel') : t('common.back')}
+            </MenuButton>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// OPTIONS SCREEN
+// ============================================================================
+
+const DIFFICULTY_LEVELS = ['normal', 'hard', 'expert'];
+
+// Default for the Reduce Motion option, from the OS accessibility setting
+const prefersReducedMotion = () => (
+  typeof window !== 'undefined'
+  && typeof window.matchMedia === 'function'
+  && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+);
+
+// Minimum gap between slider preview sounds while dragging, in ms
+const VOLUME_PREVIEW_INTERVAL = 120;
+
+// Steps a 0-1 volume by 5% in the given direction
+const stepVolume = (value, direction) => (
+  Math.min(1, Math.max(0, Math.round((value + direction * 0.05) * 20) / 20))
+);
+
+// Moves to the neighbouring value in a list, wrapping at either end
+const cycleValue = (values, current, direction) => {
+  const index = values.indexOf(current);
+  return values[(index + direction + values.length) % values.length];
+};
+
+const OptionsScreen = ({ options, onUpdateOptions, onExportSave, onImportFile, onBack }) => {
+  const { palette, radius, styles } = useTheme();
+  const { language, languages, t } = useLocale();
+  const languageIds = languages.map(({ id }) => id);
+  const fileInputRef = useRef(null);
+  const fieldId = useId();
+  const audio = useMenuAudio();
+  const lastPreviewRef = useRef(0);
+  
+  // Applies a volume at once and plays a short sound on the bus being set,
+  // so dragging a slider previews it. The music slider previews the track.
+  const updateVolume = (key, value, previewBus) => {
+    const next = { ...options, [key]: value };
+    onUpdateOptions(next);
+    if (!audio) return;
+    audio.setVolumes(next);
+    
+    const now = Date.now();
+    if (previewBus && now - lastPreviewRef.current >= VOLUME_PREVIEW_INTERVAL) {
+      lastPreviewRef.current = now;
+      audio.playSound('hover', { bus: previewBus });
+    }
+  };
+  
+  useNavBack(onBack);
+  
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImportFile(file);
+  };
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2.5rem' }}>{t('options.title')}</h2>
+      
+      <div style={styles.panel}>
+        {/* Master Volume */}
+        <FocusableItem
+          onAdjust={(direction) => updateVolume('masterVolume', stepVolume(options.masterVolume, direction), 'sfx')}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-masterVolume`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span>{t('options.masterVolume')}</span>
+            <span style={{ color: palette.primary }} aria-hidden="true">{Math.round(options.masterVolume * 100)}%</span>
+          </label>
+          <input
+            id={`${fieldId}-masterVolume`}
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={options.masterVolume}
+            aria-valuetext={`${Math.round(options.masterVolume * 100)}%`}
+            onChange={(e) => updateVolume('masterVolume', parseFloat(e.target.value), 'sfx')}
+            style={styles.slider}
+          />
+        </FocusableItem>
+        
+        {/* Music Volume */}
+        <FocusableItem
+          onAdjust={(direction) => updateVolume('musicVolume', stepVolume(options.musicVolume, direction), null)}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-musicVolume`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span>{t('options.musicVolume')}</span>
+            <span style={{ color: palette.primary }} aria-hidden="true">{Math.round(options.musicVolume * 100)}%</span>
+          </label>
+          <input
+            id={`${fieldId}-musicVolume`}
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={options.musicVolume}
+            aria-valuetext={`${Math.round(options.musicVolume * 100)}%`}
+            onChange={(e) => updateVolume('musicVolume', parseFloat(e.target.value), null)}
+            style={styles.slider}
+          />
+        </FocusableItem>
+        
+        {/* SFX Volume */}
+        <FocusableItem
+          onAdjust={(direction) => updateVolume('sfxVolume', stepVolume(options.sfxVolume, direction), 'sfx')}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-sfxVolume`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span>{t('options.sfxVolume')}</span>
+            <span style={{ color: palette.primary }} aria-hidden="true">{Math.round(options.sfxVolume * 100)}%</span>
+          </label>
+          <input
+            id={`${fieldId}-sfxVolume`}
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={options.sfxVolume}
+            aria-valuetext={`${Math.round(options.sfxVolume * 100)}%`}
+            onChange={(e) => updateVolume('sfxVolume', parseFloat(e.target.value), 'sfx')}
+            style={styles.slider}
+          />
+        </FocusableItem>
+        
+        {/* Voice Volume */}
+        <FocusableItem
+          onAdjust={(direction) => updateVolume('voiceVolume', stepVolume(options.voiceVolume, direction), 'voice')}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-voiceVolume`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span>{t('options.voiceVolume')}</span>
+            <span style={{ color: palette.primary }} aria-hidden="true">{Math.round(options.voiceVolume * 100)}%</span>
+          </label>
+          <input
+            id={`${fieldId}-voiceVolume`}
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={options.voiceVolume}
+            aria-valuetext={`${Math.round(options.voiceVolume * 100)}%`}
+            onChange={(e) => updateVolume('voiceVolume', parseFloat(e.target.value), 'voice')}
+            style={styles.slider}
+          />
+        </FocusableItem>
+        
+        {/* Toggles */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1.5rem' }}>
+          <FocusableItem
+            onActivate={() => onUpdateOptions({ ...options, showFPS: !options.showFPS })}
+            style={styles.optionRow}
+            focusedStyle={styles.cardSelected}
+          >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={options.showFPS}
+                onChange={(e) => onUpdateOptions({ ...options, showFPS: e.target.checked })}
+                style={{ width: '20px', height: '20px', accentColor: palette.primary }}
+              />
+              <span>{t('options.showFPS')}</span>
+            </label>
+          </FocusableItem>
+          
+          <FocusableItem
+            onActivate={() => onUpdateOptions({ ...options, screenShake: !options.screenShake })}
+            style={styles.optionRow}
+            focusedStyle={styles.cardSelected}
+          >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={options.screenShake}
+                onChange={(e) => onUpdateOptions({ ...options, screenShake: e.target.checked })}
+                style={{ width: '20px', height: '20px', accentColor: palette.primary }}
+              />
+              <span>{t('options.screenShake')}</span>
+            </label>
+          </FocusableItem>
+          
+          <FocusableItem
+            onActivate={() => onUpdateOptions({ ...options, subtitles: !options.subtitles })}
+            style={styles.optionRow}
+            focusedStyle={styles.cardSelected}
+          >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={options.subtitles}
+                onChange={(e) => onUpdateOptions({ ...options, subtitles: e.target.checked })}
+                style={{ width: '20px', height: '20px', accentColor: palette.primary }}
+              />
+              <span>{t('options.subtitles')}</span>
+            </label>
+          </FocusableItem>
+          
+          <FocusableItem
+            onActivate={() => onUpdateOptions({ ...options, reducedMotion: !options.reducedMotion })}
+            style={styles.optionRow}
+            focusedStyle={styles.cardSelected}
+          >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={options.reducedMotion}
+                onChange={(e) => onUpdateOptions({ ...options, reducedMotion: e.target.checked })}
+                style={{ width: '20px', height: '20px', accentColor: palette.primary }}
+              />
+              <span>{t('options.reducedMotion')}</span>
+            </label>
+          </FocusableItem>
+        </div>
+        
+        {/* Difficulty (for NG+) */}
+        <FocusableItem
+          onActivate={() => onUpdateOptions({ ...options, difficulty: cycleValue(DIFFICULTY_LEVELS, options.difficulty, 1) })}
+          onAdjust={(direction) => onUpdateOptions({ ...options, difficulty: cycleValue(DIFFICULTY_LEVELS, options.difficulty, direction) })}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-difficulty`} style={{ display: 'block', marginBottom: '0.5rem' }}>{t('common.difficulty')}</label>
+          <select
+            id={`${fieldId}-difficulty`}
+            value={options.difficulty}
+            onChange={(e) => onUpdateOptions({ ...options, difficulty: e.target.value })}
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              background: 'rgba(0, 0, 0, 0.5)',
+              border: `1px solid ${palette.primary}`,
+              borderRadius: radius.small,
+              color: palette.textStrong,
+              fontFamily: 'inherit',
+              fontSize: '1rem',
+            }}
+          >
+            <option value="normal">{t('difficulty.normal')}</option>
+            <option value="hard">{t('difficulty.hard')}</option>
+            <option value="expert">{t('difficulty.expert')}</option>
+          </select>
+        </FocusableItem>
+        
+        {/* Language */}
+        <FocusableItem
+          onActivate={() => onUpdateOptions({ ...options, language: cycleValue(languageIds, language, 1) })}
+          onAdjust={(direction) => onUpdateOptions({ ...options, language: cycleValue(languageIds, language, direction) })}
+          style={{ ...styles.optionRow, marginBottom: '1.5rem' }}
+          focusedStyle={styles.cardSelected}
+        >
+          <label htmlFor={`${fieldId}-language`} style={{ display: 'block', marginBottom: '0.5rem' }}>{t('options.language')}</label>
+          <select
+            id={`${fieldId}-language`}
+            value={language}
+            onChange={(e) => onUpdateOptions({ ...options, language: e.target.value })}
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              background: 'rgba(0, 0, 0, 0.5)',
+              border: `1px solid ${palette.primary}`,
+              borderRadius: radius.small,
+              color: palette.textStrong,
+              fontFamily: 'inherit',
+              fontSize: '1rem',
+            }}
+          >
+            {languages.map(({ id, name }) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </FocusableItem>
+        
+        {/* Save Data */}
+        {(onExportSave || onImportFile) && (
+          <div style={{ marginBottom: '2rem' }}>
+            <div id={`${fieldId}-saveData`} style={{ marginBottom: '0.5rem' }}>{t('options.saveData')}</div>
+            <div role="group" aria-labelledby={`${fieldId}-saveData`} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {onExportSave && (
+                <MenuButton size="small" variant="secondary" onClick={onExportSave}>
+                  {t('options.export')}
+                </MenuButton>
+              )}
+              {onImportFile && (
+                <MenuButton size="small" variant="secondary" onClick={() => fileInputRef.current?.click()}>
+                  {t('options.import')}
+                </MenuButton>
+              )}
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+          </div>
+        )}
+        
+        <div style={{ display: 'flex', justifyContent: 'center' }}>
+          <MenuButton sound="back" onClick={onBack}>{t('common.back')}</MenuButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// IMPORT SAVE SCREEN
+// ============================================================================
+
+const SlotPreview = ({ progress }) => {
+  const { palette } = useTheme();
+  const { dir, t, localize } = useLocale();
+  const { campaign } = useGameData();
+  
+  if (!progress) {
+    return <div style={{ color: palette.textDim }}>{t('common.empty')}</div>;
+  }
+  
+  const levelData = campaign.levels[progress.currentLevel];
+  return (
+    <div>
+      <div style={{ color: palette.primary }}>{localize(levelData?.name) || progress.currentLevel}</div>
+      <div style={{ fontSize: '0.75rem', color: palette.textMuted }}>
+        {t('common.points', { score: progress.totalScore || 0 })}
+        {progress.completedLevels?.length ? ` • ${formatPath(progress.completedLevels, dir)}` : ''}
+      </div>
+    </div>
+  );
+};
+
+const ImportSaveScreen = ({ preview, currentSlots, onConfirm, onCancel }) => {
+  const { palette, radius, styles } = useTheme();
+  const { dir, t } = useLocale();
+  const { data, errors } = preview;
+  const isValid = errors.length === 0;
+  
+  useNavBack(onCancel);
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2rem' }}>{t('importSave.title')}</h2>
+      <p style={styles.subtitle}>{isValid ? t('importSave.review') : t('importSave.rejected')}</p>
+      
+      <div style={styles.panel}>
+        {isValid ? (
+          <>
+            {data.slots.length === 0 && (
+              <div style={{ color: palette.textMuted, marginBottom: '1rem' }}>{t('importSave.noSlots')}</div>
+            )}
+            
+            {data.slots.map((incoming) => {
+              const current = currentSlots.find(slot => slot.slotId === incoming.slotId)?.progress;
+              return (
+                <div
+                  key={incoming.slotId}
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: '80px 1fr auto 1fr',
+                    gap: '1rem',
+                    alignItems: 'center',
+                    padding: '0.75rem',
+                    marginBottom: '0.5rem',
+                    background: 'rgba(0, 0, 0, 0.3)',
+                    border: `1px solid ${current ? palette.warning : alpha(palette.primary, 0.3)}`,
+                    borderRadius: radius.small,
+                    fontSize: '0.85rem',
+                  }}
+                >
+                  <span style={{ fontWeight: 900, color: palette.accent }}>{t('common.slot', { slot: incoming.slotId })}</span>
+                  <SlotPreview progress={current} />
+                  <span style={{ color: current ? palette.warning : palette.primary }}>{dir === 'rtl' ? '←' : '→'}</span>
+                  <SlotPreview progress={incoming} />
+                </div>
+              );
+            })}
+            
+            <ul style={{ color: palette.textMuted, fontSize: '0.85rem', margin: '1rem 0 1.5rem', paddingInlineStart: '1.25rem' }}>
+              {data.options && <li>{t('importSave.optionsReplaced')}</li>}
+              {data.stats?.length > 0 && <li>{t('importSave.statsRestored', { count: data.stats.length })}</li>}
+              <li>{t('importSave.slotsUnchanged')}</li>
+            </ul>
+          </>
+        ) : (
+          <ul style={{ color: palette.danger, fontSize: '0.9rem', margin: '0 0 1.5rem', paddingInlineStart: '1.25rem' }}>
+            {errors.map((error, index) => (
+              <li key={index} style={{ marginBottom: '0.25rem' }}>
+                {t(`importError.${error.code}`, { ...error.params, defaultValue: error.message })}
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <MenuButton variant="secondary" sound="back" onClick={onCancel} autoFocus>
+            {isValid ? t('common.cancel') : t('common.back')}
+          </MenuButton>
+          {isValid && (
+            <MenuButton variant="danger" onClick={onConfirm}>
+              {t('importSave.overwrite')}
+            </MenuButton>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// NEW GAME+ SETUP SCREEN
+// ============================================================================
+
+const NewGamePlusScreen = ({ toggleableUnlocks, activeUnlocks, onToggle, onConfirm, onBack }) => {
+  const { palette, styles } = useTheme();
+  const { t, localize } = useLocale();
+  useNavBack(onBack);
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2.5rem' }}>{t('newGamePlus.title')}</h2>
+      <p style={styles.subtitle}>{t('newGamePlus.subtitle')}</p>
+      
+      <div style={styles.panel}>
+        {toggleableUnlocks.map(([id, unlock]) => {
+          const isActive = activeUnlocks.includes(id);
+          return (
+            <FocusableItem
+              key={id}
+              onClick={() => onToggle(id)}
+              onActivate={() => onToggle(id)}
+              role="switch"
+              aria-checked={isActive}
+              style={{
+                ...styles.optionRow,
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '1rem',
+                marginBottom: '0.75rem',
+                cursor: 'pointer',
+              }}
+              focusedStyle={styles.cardSelected}
+            >
+              <div>
+                <div style={{ fontWeight: 700, color: isActive ? palette.accent : palette.textStrong }}>{localize(unlock.name)}</div>
+                <div style={{ fontSize: '0.85rem', color: palette.textMuted }}>{localize(unlock.description)}</div>
+              </div>
+              <span style={{ fontWeight: 700, color: isActive ? palette.primary : palette.textDim }}>
+                {isActive ? t('common.on') : t('common.off')}
+              </span>
+            </FocusableItem>
+          );
+        })}
+        
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '1.5rem' }}>
+          <MenuButton onClick={onConfirm} autoFocus>
+            {t('common.continue')}
+          </MenuButton>
+          <MenuButton variant="secondary" sound="back" onClick={onBack}>
+            {t('common.back')}
+          </MenuButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// WINGMAN CHOICE SCREEN
+// ============================================================================
+
+const WingmanChoiceScreen = ({ selectedWingmen, onSelect, onConfirm, maxSelections = 2 }) => {
+  const { palette, styles } = useTheme();
+  const { t, localize } = useLocale();
+  const { wingmen } = useGameData();
+  const cardId = useId();
+  
+  const handleToggle = (wingmanId) => {
+    if (selectedWingmen.includes(wingmanId)) {
+      onSelect(selectedWingmen.filter(id => id !== wingmanId));
+    } else if (selectedWingmen.length < maxSelections) {
+      onSelect([...selectedWingmen, wingmanId]);
+    }
+  };
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2rem' }}>{t('wingmen.title')}</h2>
+      <p style={styles.subtitle}>{t('wingmen.subtitle', { count: maxSelections })}</p>
+      
+      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1rem', maxWidth: '900px' }}>
+        {wingmen.map((wingman) => {
+          const isSelected = selectedWingmen.includes(wingman.id);
+          const isFull = !isSelected && selectedWingmen.length >= maxSelections;
+          const idPrefix = `${cardId}-${wingman.id}`;
+          return (
+            <FocusableItem
+              key={wingman.id}
+              onClick={() => handleToggle(wingman.id)}
+              onActivate={() => handleToggle(wingman.id)}
+              role="checkbox"
+              aria-checked={isSelected}
+              aria-disabled={isFull}
+              sound={isFull ? 'locked' : 'confirm'}
+              aria-labelledby={`${idPrefix}-name`}
+              aria-describedby={`${idPrefix}-role ${idPrefix}-description`}
+              style={{
+                ...styles.card,
+                ...(isSelected ? styles.cardSelected : {}),
+                maxWidth: '280px',
+              }}
+              focusedStyle={styles.menuButtonHover}
+            >
+              <div style={{ fontSize: '3rem', textAlign: 'center', marginBottom: '0.5rem' }} aria-hidden="true">
+                {wingman.portrait}
+              </div>
+              <h3 id={`${idPrefix}-name`} style={{ color: isSelected ? palette.accent : palette.secondary, margin: '0 0 0.25rem', fontSize: '1rem' }}>
+                {localize(wingman.name)}
+              </h3>
+              <div id={`${idPrefix}-role`} style={{ color: palette.primary, fontSize: '0.75rem', marginBottom: '0.5rem' }}>
+                {localize(wingman.callsign)} • {localize(wingman.specialty)}
+              </div>
+              <p id={`${idPrefix}-description`} style={{ color: palette.textMuted, fontSize: '0.85rem', marginBottom: '1rem' }}>
+                {localize(wingman.description)}
+              </p>
+              
+              {/* Stats */}
+              <div style={{ fontSize: '0.75rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
+                  <span>{t('wingmen.attack')}</span>
+                  <span>{wingman.stats.attack}/5</span>
+                </div>
+                <div style={styles.statBar}>
+                  <div style={{ ...styles.statFill, width: `${wingman.stats.attack * 20}%`, background: palette.danger }} />
+                </div>
+                
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
+                  <span>{t('wingmen.defense')}</span>
+                  <span>{wingman.stats.defense}/5</span>
+                </div>
+                <div style={styles.statBar}>
+                  <div style={{ ...styles.statFill, width: `${wingman.stats.defense * 20}%`, background: palette.secondary }} />
+                </div>
+                
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
+                  <span>{t('wingmen.support')}</span>
+                  <span>{wingman.stats.support}/5</span>
+                </div>
+                <div style={styles.statBar}>
+                  <div style={{ ...styles.statFill, width: `${wingman.stats.support * 20}%` }} />
+                </div>
+              </div>
+              
+              {isSelected && (
+                <div aria-hidden="true" style={{
+                  position: 'absolute',
+                  top: '10px',
+                  insetInlineEnd: '10px',
+                  background: palette.accent,
+                  color: palette.onAccent,
+                  borderRadius: '50%',
+                  width: '24px',
+                  height: '24px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontWeight: 700,
+                }}>
+                  ✓
+                </div>
+              )}
+            </FocusableItem>
+          );
+        })}
+      </div>
+      
+      <div style={{ marginTop: '2rem' }}>
+        <MenuButton
+          onClick={onConfirm}
+          disabled={selectedWingmen.length !== maxSelections}
+        >
+          {t('wingmen.confirm', { selected: selectedWingmen.length, count: maxSelections })}
+        </MenuButton>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// RADIO COMMS - Scripted Dialogue and the Comms Box
+// ============================================================================
+
+// A line without a clip or `duration` stays up for its reading time
+const COMMS_MIN_DURATION = 2000;
+const COMMS_MS_PER_CHAR = 55;
+
+// Pause after each line before the next one starts
+const COMMS_GAP = 300;
+
+// Speaker for a comms line: the campaign's speakers, then the roster
+const getCommsSpeaker = (campaign, roster, speakerId) => (
+  campaign.speakers?.[speakerId]
+  || roster.find(wingman => wingman.id === speakerId)
+  || { name: String(speakerId).toUpperCase(), portrait: '📡' }
+);
+
+/**
+ * Lines to play for a comms trigger, in order:
+ * - 'briefing': the level's briefing, then each squadron wingman's
+ * - 'results': the level's complete or failed lines, then the `down`
+ *   line of every wingman shot down
+ * - 'map': the level's map lines, after it is cleared
+ * Lines spoken by a wingman who is not in the squadron are dropped.
+ * Each line is { speaker, text, audio?, duration?, delay? }; text and
+ * audio may be one value per language.
+ */
+const getCommsScript = (campaign, roster, trigger, { levelId, wingmen = [], results = null } = {}) => {
+  const levelComms = campaign.levels[levelId]?.comms || {};
+  const wingmanComms = (id) => roster.find(wingman => wingman.id === id)?.comms || {};
+  let lines = [];
+  
+  if (trigger === 'briefing') {
+    lines = [
+      ...(levelComms.briefing || []),
+      ...wingmen.flatMap(id => wingmanComms(id).briefing || []),
+    ];
+  } else if (trigger === 'results' && results) {
+    const downed = (results.wingmenStatus || []).filter(status => !status.alive && status.id !== undefined);
+    lines = [
+      ...((results.completed ? levelComms.complete : levelComms.failed) || []),
+      ...downed.flatMap(status => wingmanComms(status.id).down || []),
+    ];
+  } else if (trigger === 'map') {
+    lines = levelComms.map || [];
+  }
+  
+  return lines.filter(line => (
+    !roster.some(wingman => wingman.id === line.speaker) || wingmen.includes(line.speaker)
+  ));
+};
+
+/**
+ * Steps through comms lines: waits out each line's `delay`, plays its
+ * clip on the voice bus and holds it for the `duration`, the clip's
+ * length or its reading time. Returns the line on air (null between
+ * lines and once the script ends).
+ */
+const useCommsScript = (lines) => {
+  const audio = useMenuAudio();
+  const { localize } = useLocale();
+  const [index, setIndex] = useState(0);
+  const [onAir, setOnAir] = useState(false);
+  const line = lines[index] || null;
+  
+  useEffect(() => {
+    if (!line) return undefined;
+    let cancelled = false;
+    let timer;
+    
+    const wait = (ms) => new Promise((resolve) => {
+      timer = setTimeout(resolve, ms);
+    });
+    
+    const play = async () => {
+      if (line.delay) await wait(line.delay);
+      if (cancelled) return;
+      setOnAir(true);
+      
+      const clipSeconds = audio && line.audio ? await audio.playVoice(localize(line.audio)) : null;
+      if (cancelled) return;
+      const text = localize(line.text) || '';
+      await wait(line.duration ?? (clipSeconds
+        ? clipSeconds * 1000
+        : Math.max(COMMS_MIN_DURATION, text.length * COMMS_MS_PER_CHAR)));
+      if (cancelled) return;
+      
+      setOnAir(false);
+      await wait(COMMS_GAP);
+      if (!cancelled) setIndex(current => current + 1);
+    };
+    
+    play();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (audio) audio.stopVoice();
+    };
+  }, [line, audio]);
+  
+  return onAir ? line : null;
+};
+
+/**
+ * Star Fox-style comms box: the speaker's portrait and name with the line
+ * as a subtitle. With subtitles off, voiced lines show only who is
+ * talking; lines without a clip always show their text.
+ */
+const CommsBox = ({ lines, subtitles = true }) => {
+  const { palette, styles } = useTheme();
+  const { t, localize } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const audio = useMenuAudio();
+  const line = useCommsScript(lines);
+  
+  if (lines.length === 0) return null;
+  
+  const speaker = line ? getCommsSpeaker(campaign, roster, line.speaker) : null;
+  const showText = line && (subtitles || !line.audio || !audio);
+  
+  return (
+    <div style={styles.commsBox} role="log" aria-live="polite" aria-label={t('comms.label')}>
+      {line && (
+        <>
+          <div style={styles.commsPortrait} aria-hidden="true">{speaker.portrait}</div>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ color: palette.primary, fontSize: '0.75rem', fontWeight: 700, letterSpacing: '0.1em' }}>
+              {localize(speaker.name)}
+            </div>
+            {showText && (
+              <div style={{ color: palette.textStrong, lineHeight: 1.5 }}>{localize(line.text)}</div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// MISSION BRIEFING SCREEN
+// ============================================================================
+
+const MissionScreen = ({ level, wingmen, levelRecord, subtitles = true, onStartMission, onBack }) => {
+  const { palette, radius, styles } = useTheme();
+  const { t, localize, formatNumber } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const levelData = campaign.levels[level];
+  const medal = getLevelMedal(levelRecord);
+  const briefingLines = useMemo(
+    () => getCommsScript(campaign, roster, 'briefing', { levelId: level, wingmen }),
+    [campaign, roster, level, wingmen]
+  );
+  
+  useNavBack(onBack);
+  
+  const selectedWingmenData = wingmen
+    .map(id => roster.find(w => w.id === id))
+    .filter(Boolean);
+  
+  return (
+    <div style={styles.screenContent}>
+      <div style={styles.panel}>
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1rem',
+          marginBottom: '1.5rem',
+          paddingBottom: '1rem',
+          borderBottom: `1px solid ${alpha(palette.primary, 0.3)}`,
+        }}>
+          <div style={{
+            fontSize: '3rem',
+            fontWeight: 900,
+            color: palette.accent,
+            textShadow: `0 0 20px ${alpha(palette.accent, 0.5)}`,
+          }}>
+            {level}
+          </div>
+          <div>
+            <h2 style={{ margin: 0, color: palette.primary, fontSize: '1.5rem' }}>
+              {localize(levelData.name)}
+            </h2>
+            <div style={{ color: palette.textMuted, fontSize: '0.9rem' }}>
+              {localize(levelData.subtitle)}
+            </div>
+          </div>
+          <div style={{ marginInlineStart: 'auto' }}>
+            <div style={{ color: palette.textMuted, fontSize: '0.75rem', textTransform: 'uppercase' }}>
+              {t('common.difficulty')}
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {[1, 2, 3, 4, 5].map((i) => (
+                <div
+                  key={i}
+                  style={{
+                    width: '12px',
+                    height: '12px',
+                    background: i <= levelData.difficulty ? palette.danger : 'rgba(255, 255, 255, 0.1)',
+                    borderRadius: '2px',
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+        
+        <div style={{
+          background: 'rgba(0, 0, 0, 0.3)',
+          padding: '1.5rem',
+          borderRadius: radius.small,
+          marginBottom: '1.5rem',
+        }}>
+          <h3 style={{ color: palette.warning, margin: '0 0 0.5rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+            {t('mission.briefing')}
+          </h3>
+          <p style={{ color: palette.textSoft, margin: 0, lineHeight: 1.6 }}>
+            {localize(levelData.description)}
+          </p>
+        </div>
+        
+        <CommsBox lines={briefingLines} subtitles={subtitles} />
+        
+        {levelRecord?.clears > 0 && (
+          <div style={{ marginBottom: '1.5rem' }}>
+            <h3 style={{ color: palette.accent, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+              {t('mission.yourBest')}
+              {medal && (
+                <span style={{ color: palette[medal], marginInlineStart: '0.5rem' }}>
+                  ● {t(`medal.${medal}`).toUpperCase()}
+                </span>
+              )}
+            </h3>
+            <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', color: palette.textSoft, fontSize: '0.9rem' }}>
+              <span>{t('common.score')} <strong style={{ color: palette.textStrong }}>{formatNumber(levelRecord.bestScore ?? 0)}</strong></span>
+              <span>{t('common.rank')} <strong style={{ color: palette.textStrong }}>{levelRecord.bestRank ?? '-'}</strong></span>
+              <span>{t('common.accuracy')} <strong style={{ color: palette.textStrong }}>{levelRecord.bestAccuracy ?? '-'}%</strong></span>
+              <span>{t('common.time')} <strong style={{ color: palette.textStrong }}>
+                {levelRecord.fastestSeconds !== null ? formatMissionTime(levelRecord.fastestSeconds) : '-'}
+              </strong></span>
+              <span style={{ color: palette.textMuted }}>{t('mission.cleared', { clears: levelRecord.clears, attempts: levelRecord.attempts })}</span>
+            </div>
+          </div>
+        )}
+        
+        <div style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ color: palette.secondary, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+            {t('mission.squadron')}
+          </h3>
+          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+            <div style={{
+              background: alpha(palette.accent, 0.1),
+              border: `1px solid ${alpha(palette.accent, 0.3)}`,
+              borderRadius: radius.small,
+              padding: '0.75rem 1rem',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+            }}>
+              <span style={{ fontSize: '1.5rem' }}>🦊</span>
+              <div>
+                <div style={{ fontWeight: 700, color: palette.accent }}>{t('mission.leaderName')}</div>
+                <div style={{ fontSize: '0.75rem', color: palette.textMuted }}>{t('mission.leaderRole')}</div>
+              </div>
+            </div>
+            
+            {selectedWingmenData.map((wingman) => (
+              <div
+                key={wingman.id}
+                style={{
+                  background: alpha(palette.secondary, 0.1),
+                  border: `1px solid ${alpha(palette.secondary, 0.3)}`,
+                  borderRadius: radius.small,
+                  padding: '0.75rem 1rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                }}
+              >
+                <span style={{ fontSize: '1.5rem' }}>{wingman.portrait}</span>
+                <div>
+                  <div style={{ fontWeight: 700, color: palette.secondary }}>{localize(wingman.name)}</div>
+                  <div style={{ fontSize: '0.75rem', color: palette.textMuted }}>{localize(wingman.specialty)}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <MenuButton variant="secondary" sound="back" onClick={onBack}>
+            {t('common.back')}
+          </MenuButton>
+          <MenuButton onClick={onStartMission} autoFocus>
+            {t('mission.launch')}
+          </MenuButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// RESULTS SCREEN
+// ============================================================================
+
+// Base points, each bonus, then each multiplier, down to the final score
+const ScoreBreakdown = ({ breakdown }) => {
+  const { palette } = useTheme();
+  const { t, formatNumber } = useLocale();
+  const row = { display: 'flex', justifyContent: 'space-between', padding: '0.2rem 0', fontSize: '0.9rem' };
+  
+  // Bonuses keep their own name; breakdowns saved without ids keep their label
+  const lineLabel = (line) => (line.id && line.id !== 'bonus'
+    ? t(`breakdown.${line.id}`, {
+      defaultValue: line.label,
+      difficulty: line.difficulty && t(`difficulty.${line.difficulty}`, { defaultValue: line.difficulty }),
+    })
+    : line.label);
+  
+  return (
+    <div style={{ marginBottom: '1.5rem' }}>
+      <h3 style={{ color: palette.secondary, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+        {t('results.breakdown')}
+      </h3>
+      <div style={row}>
+        <span style={{ color: palette.textMuted }}>{t('results.base')}</span>
+        <span>{formatNumber(breakdown.base)}</span>
+      </div>
+      {breakdown.bonuses.map((bonus, index) => (
+        <div key={index} style={row}>
+          <span style={{ color: palette.textMuted }}>{lineLabel(bonus)}</span>
+          <span style={{ color: palette.accent }}>+{formatNumber(bonus.points)}</span>
+        </div>
+      ))}
+      {breakdown.multipliers.map((multiplier, index) => (
+        <div key={index} style={row}>
+          <span style={{ color: palette.textMuted }}>{lineLabel(multiplier)}</span>
+          <span style={{ color: palette.primary }}>×{formatNumber(multiplier.value)}</span>
+        </div>
+      ))}
+      <div style={{ ...row, borderTop: `1px solid ${palette.border}`, marginTop: '0.25rem', paddingTop: '0.5rem', fontWeight: 700 }}>
+        <span>{t('results.total')}</span>
+        <span>{formatNumber(breakdown.total)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Tally steps in play order, with their durations in ms
+const TALLY_TICK = 40;
+
+const buildTallySteps = (results) => [
+  { type: 'score', duration: 1200 },
+  { type: 'hits', duration: 600 },
+  { type: 'accuracy', duration: 600 },
+  ...(results.bonuses || []).map(bonus => ({ type: 'bonus', bonus, duration: 350 })),
+  { type: 'rank', rank: results.rank, duration: 500 },
+];
+
+/**
+ * Drives the results tally: score and hits count up, the accuracy bar fills,
+ * bonuses appear one by one and the rank stamps in. onEvent receives
+ * { type, ...step } as each step starts, { type: 'tick', step } while a
+ * number counts up, and { type: 'complete', skipped } at the end.
+ *
+ * Returns { progress(index) (0-1), steps, done, skip }.
+ */
+const useResultsTally = (results, { instant = false, onEvent } = {}) => {
+  const steps = useMemo(() => buildTallySteps(results), [results]);
+  const totalDuration = steps.reduce((total, step) => total + step.duration, 0);
+  const [elapsed, setElapsed] = useState(instant ? totalDuration : 0);
+  const onEventRef = useRef(onEvent);
+  const completedRef = useRef(false);
+  // Index of the last announced step; an instant tally announces none
+  const startedRef = useRef(instant ? Infinity : -1);
+  onEventRef.current = onEvent;
+  
+  const emit = (event) => onEventRef.current && onEventRef.current(event);
+  const done = elapsed >= totalDuration;
+  
+  const finish = (skipped) => {
+    if (completedRef.current) return;
+    completedRef.current = true;
+    setElapsed(totalDuration);
+    emit({ type: 'complete', skipped });
+  };
+  
+  // Announce each step as it starts, and tick while numbers count up
+  let stepIndex = 0;
+  let stepStart = 0;
+  while (stepIndex < steps.length - 1 && elapsed >= stepStart + steps[stepIndex].duration) {
+    stepStart += steps[stepIndex].duration;
+    stepIndex += 1;
+  }
+  useEffect(() => {
+    if (completedRef.current) return;
+    const step = steps[stepIndex];
+    if (startedRef.current === stepIndex) {
+      if (step.type === 'score' || step.type === 'hits') emit({ type: 'tick', step: step.type });
+      return;
+    }
+    // Slow frames can jump several steps; each still gets its cue
+    while (startedRef.current < stepIndex) {
+      startedRef.current += 1;
+      const { duration, ...cue } = steps[startedRef.current];
+      emit(cue);
+    }
+  }, [elapsed]);
+  
+  useEffect(() => {
+    if (done) {
+      finish(false);
+      return undefined;
+    }
+    const timer = setInterval(() => setElapsed(current => current + TALLY_TICK), TALLY_TICK);
+    return () => clearInterval(timer);
+  }, [done]);
+  
+  const progress = (index) => {
+    const start = steps.slice(0, index).reduce((total, step) => total + step.duration, 0);
+    return Math.min(1, Math.max(0, (elapsed - start) / steps[index].duration));
+  };
+  
+  return { steps, progress, done, skip: () => finish(true) };
+};
+
+const ResultsScreen = ({ levelId, results, squadron = [], newRecords = [], reducedMotion = false, subtitles = true, onTallyEvent, onContinue }) => {
+  const { palette, radius, styles } = useTheme();
+  const { t, localize, formatNumber } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const levelData = campaign.levels[levelId];
+  const commsLines = useMemo(
+    () => getCommsScript(campaign, roster, 'results', { levelId, wingmen: squadron, results }),
+    [campaign, roster, levelId, squadron, results]
+  );
+  const isVictory = results.completed;
+  const tally = useResultsTally(results, { instant: reducedMotion, onEvent: onTallyEvent });
+  const stepProgress = (type) => tally.progress(tally.steps.findIndex(step => step.type === type));
+  const rankProgress = stepProgress('rank');
+  const firstBonusStep = tally.steps.findIndex(step => step.type === 'bonus');
+  
+  // Until the tally ends, any button or click skips to the final state
+  useNavCapture(tally.done ? null : () => {
+    tally.skip();
+    return true;
+  });
+  
+  useEffect(() => {
+    if (tally.done) return undefined;
+    const handleKeyDown = () => tally.skip();
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [tally.done]);
+  
+  const handleClickCapture = (event) => {
+    if (tally.done) return;
+    event.stopPropagation();
+    tally.skip();
+  };
+  
+  return (
+    <div style={styles.screenContent} onClickCapture={handleClickCapture}>
+      <h2 style={{
+        ...styles.title,
+        fontSize: '2.5rem',
+        color: isVictory ? palette.primary : palette.danger,
+        background: isVictory
+          ? `linear-gradient(180deg, ${palette.primary} 0%, ${palette.primaryDeep} 100%)`
+          : `linear-gradient(180deg, ${palette.danger} 0%, ${palette.dangerDeep} 100%)`,
+        WebkitBackgroundClip: 'text',
+        WebkitTextFillColor: 'transparent',
+      }}>
+        {isVictory ? t('results.complete') : t('results.failed')}
+      </h2>
+      
+      <div style={styles.panel}>
+        <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+          <span style={{ fontSize: '1.5rem', color: palette.textMuted }}>{localize(levelData.name)}</span>
+        </div>
+        
+        {tally.done && newRecords.length > 0 && (
+          <div style={{
+            textAlign: 'center',
+            marginBottom: '1.5rem',
+            padding: '0.75rem',
+            border: `2px solid ${palette.accent}`,
+            borderRadius: radius.small,
+            background: alpha(palette.accent, 0.1),
+          }}>
+            <div style={{ color: palette.accent, fontWeight: 900, fontSize: '1.25rem', letterSpacing: '0.2em' }}>
+              {t('results.newRecord')}
+            </div>
+            <div style={{ color: palette.textSoft, fontSize: '0.85rem' }}>
+              {newRecords.map(field => t(`common.${field}`)).join(' • ')}
+            </div>
+          </div>
+        )}
+        
+        <div style={styles.resultsGrid}>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{formatNumber(Math.round(results.score * stepProgress('score')))}</div>
+            <div style={styles.resultLabel}>{t('common.score')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{formatNumber(Math.round(results.hits * stepProgress('hits')))}</div>
+            <div style={styles.resultLabel}>{t('common.hits')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{Math.round(results.accuracy * stepProgress('accuracy'))}%</div>
+            <div style={styles.accuracyTrack}>
+              <div style={{ ...styles.accuracyFill, width: `${results.accuracy * stepProgress('accuracy')}%` }} />
+            </div>
+            <div style={styles.resultLabel}>{t('common.accuracy')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{results.time}</div>
+            <div style={styles.resultLabel}>{t('common.time')}</div>
+          </div>
+        </div>
+        
+        {/* Wingmen Status */}
+        <div style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ color: palette.secondary, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+            {t('results.squadronStatus')}
+          </h3>
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+            {results.wingmenStatus.map((status, index) => (
+              <div
+                key={index}
+                style={{
+                  padding: '0.5rem 1rem',
+                  background: status.alive ? alpha(palette.primary, 0.1) : alpha(palette.danger, 0.1),
+                  border: `1px solid ${status.alive ? palette.primary : palette.danger}`,
+                  borderRadius: radius.small,
+                  fontSize: '0.85rem',
+                }}
+              >
+                <span style={{ marginInlineEnd: '0.5rem' }}>{status.portrait}</span>
+                {t(status.alive ? 'results.wingmanOk' : 'results.wingmanDown', { name: status.name })}
+              </div>
+            ))}
+          </div>
+        </div>
+        
+        {/* Bonuses */}
+        {results.bonuses && results.bonuses.length > 0 && (
+          <div style={{ marginBottom: '1.5rem' }}>
+            <h3 style={{ color: palette.accent, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+              {t('results.bonuses')}
+            </h3>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {results.bonuses.filter((bonus, index) => tally.done || tally.progress(firstBonusStep + index) > 0).map((bonus, index) => (
+                <div
+                  key={index}
+                  style={{
+                    padding: '0.5rem 1rem',
+                    background: alpha(palette.accent, 0.1),
+                    border: `1px solid ${alpha(palette.accent, 0.3)}`,
+                    borderRadius: radius.small,
+                    fontSize: '0.85rem',
+                    color: palette.accent,
+                  }}
+                >
+                  {bonus}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {tally.done && results.breakdown && <ScoreBreakdown breakdown={results.breakdown} />}
+        
+        {/* Rank */}
+        <div style={{
+          textAlign: 'center',
+          padding: '1rem',
+          background: 'rgba(0, 0, 0, 0.3)',
+          borderRadius: radius.small,
+          marginBottom: '1.5rem',
+        }}>
+          <div style={{ color: palette.textMuted, fontSize: '0.8rem', marginBottom: '0.5rem' }}>{t('results.rank')}</div>
+          <div style={{
+            fontSize: '4rem',
+            fontWeight: 900,
+            background: `linear-gradient(180deg, ${palette.accent} 0%, ${palette.accentDeep} 100%)`,
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            opacity: rankProgress > 0 ? 1 : 0,
+            transform: `scale(${1 + 2 * (1 - rankProgress) ** 2})`,
+          }}>
+            {results.rank}
+          </div>
+        </div>
+        
+        {/* Radio chatter once the tally has finished */}
+        {tally.done && <CommsBox lines={commsLines} subtitles={subtitles} />}
+        
+        <div style={{ display: 'flex', justifyContent: 'center' }}>
+          <MenuButton onClick={onContinue}>
+            {isVictory ? t('common.continue') : t('common.retry')}
+          </MenuButton>
+        </div>
+      </div>
+    </div>
   );
 };
 
 // ============================================================================
-// BUTTON COMPONENT WITH HOVER EFFECTS
+// CAMPAIGN CHOICE SCREEN
 // ============================================================================
 
-const MenuButton = ({ children, onClick, disabled, selected, variant = 'primary' }) => {
-  const [isHovered, setIsHovered] = useState(false);
+const CampaignChoiceScreen = ({ currentLevel, completedLevels, availableChoices, lockedChoices = {}, levelRecords = {}, squadron = [], subtitles = true, onSelectLevel }) => {
+  const { palette, styles } = useTheme();
+  const { dir, t, localize } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const commsLines = useMemo(
+    () => getCommsScript(campaign, roster, 'map', { levelId: currentLevel, wingmen: squadron }),
+    [campaign, roster, currentLevel, squadron]
+  );
+  const layout = useMemo(() => computeCampaignLayout(campaign), [campaign]);
+  const connections = useMemo(() => getCampaignConnections(campaign), [campaign]);
   
-  const getVariantStyles = () => {
-    switch (variant) {
-      case 'danger':
-        return {
-          border: '2px solid #ff4444',
-          color: '#ff4444',
-        };
-      case 'secondary':
-        return {
-          border: '2px solid #888',
-          color: '#888',
-        };
-      default:
-        return {};
-    }
+  // Shrink nodes and grow the map for deep or wide campaigns
+  const nodeSize = Math.round(Math.max(32, Math.min(60, 480 / layout.layerCount)));
+  const mapHeight = Math.max(300, layout.maxLayerSize * (nodeSize + 24));
+  
+  // Right-to-left layouts mirror the map so the campaign runs from the right
+  const mapX = (pos) => (dir === 'rtl' ? 100 - pos.x : pos.x);
+  
+  const renderPath = (from, to) => {
+    const fromPos = layout.positions[from];
+    const toPos = layout.positions[to];
+    
+    const isCompleted = completedLevels.includes(from) && completedLevels.includes(to);
+    const isAvailable = completedLevels.includes(from) && availableChoices.includes(to);
+    const isGated = completedLevels.includes(from) && Boolean(lockedChoices[to]);
+    
+    return (
+      <line
+        key={`${from}-${to}`}
+        x1={`${mapX(fromPos)}%`}
+        y1={`${fromPos.y}%`}
+        x2={`${mapX(toPos)}%`}
+        y2={`${toPos.y}%`}
+        stroke={isCompleted ? palette.primary : isAvailable ? palette.secondary : isGated ? palette.dangerDeep : palette.borderDim}
+        strokeWidth={isAvailable ? 4 : 2}
+        strokeDasharray={isAvailable && !isCompleted ? '8,4' : isGated ? '2,6' : 'none'}
+      />
+    );
+  };
+  
+  const getNodeStyle = (levelId) => {
+    if (completedLevels.includes(levelId)) return styles.mapNodeCompleted;
+    if (levelId === currentLevel) return styles.mapNodeCurrent;
+    if (availableChoices.includes(levelId)) return styles.mapNodeAvailable;
+    if (lockedChoices[levelId]) return styles.mapNodeGated;
+    return styles.mapNodeLocked;
+  };
+  
+  // Screen reader label for a node: its name, state and best rank
+  const getNodeLabel = (levelId) => {
+    const name = campaign.levels[levelId].name;
+    const missed = lockedChoices[levelId];
+    let label;
+    if (completedLevels.includes(levelId)) label = t('campaignChoice.nodeCompleted', { name });
+    else if (levelId === currentLevel) label = t('campaignChoice.nodeCurrent', { name });
+    else if (availableChoices.includes(levelId)) label = t('campaignChoice.nodeAvailable', { name });
+    else if (missed) label = t('campaignChoice.lockedTitle', { name, reasons: missed.join('; ') });
+    else label = t('campaignChoice.nodeLocked', { name });
+    
+    const bestRank = getLevelMedal(levelRecords[levelId]) && levelRecords[levelId].bestRank;
+    return bestRank ? `${label}. ${t('campaignChoice.bestRank', { rank: bestRank })}` : label;
   };
   
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
-      style={{
-        ...styles.menuButton,
-        ...getVariantStyles(),
-        ...(isHovered && !disabled ? styles.menuButtonHover : {}),
-        ...(disabled ? styles.menuButtonDisabled : {}),
-        ...(selected ? styles.cardSelected : {}),
-      }}
-    >
-      {children}
-    </button>
-  );
-};
-
-// ============================================================================
-// MAIN MENU SCREEN
-// ============================================================================
-
-const MainMenuScreen = ({ onNewGame, onContinue, onOptions, hasSaveData, completedRuns }) => {
   return (
     <div style={styles.screenContent}>
-      <h1 style={styles.title}>STAR SQUADRON</h1>
-      <p style={styles.subtitle}>Combat Evolved</p>
+      <h2 style={{ ...styles.title, fontSize: '2rem' }}>{t('campaignChoice.title')}</h2>
+      <p style={styles.subtitle}>{t('campaignChoice.subtitle')}</p>
       
-      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.5rem' }}>
-        <MenuButton onClick={onNewGame}>
-          New Game
-        </MenuButton>
-        
-        <MenuButton onClick={onContinue} disabled={!hasSaveData}>
-          Continue
-        </MenuButton>
+      <div style={styles.panel}>
+        <CommsBox lines={commsLines} subtitles={subtitles} />
         
-        <MenuButton onClick={onOptions}>
-          Options
-        </MenuButton>
+        {/* Campaign Map */}
+        <div role="group" aria-label={t('campaignChoice.map')} style={{ ...styles.campaignMap, height: `${mapHeight}px` }}>
+          <svg
+            aria-hidden="true"
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+          >
+            {connections.map(({ from, to }) => renderPath(from, to))}
+          </svg>
+          
+          {Object.entries(layout.positions).map(([levelId, pos]) => {
+            const levelData = campaign.levels[levelId];
+            const isClickable = availableChoices.includes(levelId);
+            const missed = lockedChoices[levelId];
+            const medal = getLevelMedal(levelRecords[levelId]);
+            return (
+              <FocusableItem
+                key={levelId}
+                onClick={() => isClickable && onSelectLevel(levelId)}
+                onActivate={() => isClickable && onSelectLevel(levelId)}
+                autoFocus={levelId === availableChoices[0]}
+                sound={isClickable ? 'confirm' : 'locked'}
+                aria-label={getNodeLabel(levelId)}
+                aria-disabled={!isClickable}
+                style={{
+                  ...styles.mapNode,
+                  ...getNodeStyle(levelId),
+                  width: `${nodeSize}px`,
+                  height: `${nodeSize}px`,
+                  left: `${mapX(pos)}%`,
+                  top: `${pos.y}%`,
+                }}
+                focusedStyle={styles.cardSelected}
+                title={missed
+                  ? t('campaignChoice.lockedTitle', { name: levelData.name, reasons: missed.join('; ') })
+                  : localize(levelData.name)}
+              >
+                {(isFocused) => (
+                  <>
+                    {levelId}
+                    {medal && (
+                      <span
+                        aria-hidden="true"
+                        style={{ ...styles.mapNodeBadge, background: palette[medal] }}
+                        title={t('campaignChoice.bestRank', { rank: levelRecords[levelId].bestRank })}
+                      />
+                    )}
+                    {missed && isFocused && (
+                      <div style={styles.mapTooltip} role="tooltip" aria-hidden="true">
+                        <div style={{ color: palette.danger, fontWeight: 700, marginBottom: '0.25rem' }}>
+                          {t('campaignChoice.routeLocked')}
+                        </div>
+                        {missed.map((reason) => (
+                          <div key={reason}>✗ {reason}</div>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </FocusableItem>
+            );
+          })}
+        </div>
         
-        {completedRuns > 0 && (
-          <div style={{
-            marginTop: '2rem',
-            padding: '1rem',
-            background: 'rgba(255, 215, 0, 0.1)',
-            border: '1px solid rgba(255, 215, 0, 0.3)',
-            borderRadius: '4px',
-            textAlign: 'center',
-          }}>
-            <div style={{ color: '#FFD700', fontSize: '0.9rem', marginBottom: '0.5rem' }}>
-              NEW GAME+ UNLOCKED
-            </div>
-            <div style={{ color: '#888', fontSize: '0.8rem' }}>
-              {completedRuns} run{completedRuns > 1 ? 's' : ''} completed
+        {/* Available Choices Detail */}
+        {availableChoices.length > 0 && (
+          <div>
+            <h3 style={{ color: palette.primary, margin: '0 0 1rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+              {t('campaignChoice.available')}
+            </h3>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+              {availableChoices.map((levelId) => {
+                const levelData = campaign.levels[levelId];
+                return (
+                  <FocusableItem
+                    key={levelId}
+                    onClick={() => onSelectLevel(levelId)}
+                    onActivate={() => onSelectLevel(levelId)}
+                    style={{
+                      ...styles.card,
+                      flex: '1 1 200px',
+                      maxWidth: '300px',
+                    }}
+                    focusedStyle={styles.menuButtonHover}
+                  >
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem' }}>
+                      <span style={{
+                        fontSize: '1.5rem',
+                        fontWeight: 900,
+                        color: palette.secondary,
+                      }}>
+                        {levelId}
+                      </span>
+                      <div>
+                        <div style={{ fontWeight: 700, color: palette.textStrong }}>{localize(levelData.name)}</div>
+                        <div style={{ fontSize: '0.75rem', color: palette.textMuted }}>{localize(levelData.subtitle)}</div>
+                      </div>
+                    </div>
+                    <p style={{ color: palette.textSoft, fontSize: '0.85rem', margin: 0 }}>
+                      {localize(levelData.description)}
+                    </p>
+                  </FocusableItem>
+                );
+              })}
             </div>
           </div>
         )}
@@ -637,141 +5435,122 @@ const MainMenuScreen = ({ onNewGame, onContinue, onOptions, hasSaveData, complet
 };
 
 // ============================================================================
-// OPTIONS SCREEN
+// GAME COMPLETE SCREEN
 // ============================================================================
 
-const OptionsScreen = ({ options, onUpdateOptions, onBack }) => {
+const GameCompleteScreen = ({ totalScore, completedLevels, newGamePlusLevel, onNewGamePlus, onMainMenu }) => {
+  const { palette, radius, styles } = useTheme();
+  const { dir, t, localize, formatNumber } = useLocale();
+  const { campaign, unlocks: unlockTable } = useGameData();
+  
+  const unlocks = Object.entries(unlockTable)
+    .filter(([level]) => parseInt(level) <= newGamePlusLevel)
+    .map(([, unlock]) => unlock);
+  
+  const newUnlock = unlockTable[newGamePlusLevel];
+  
   return (
     <div style={styles.screenContent}>
-      <h2 style={{ ...styles.title, fontSize: '2.5rem' }}>OPTIONS</h2>
+      <h2 style={{
+        ...styles.title,
+        fontSize: '3rem',
+        background: `linear-gradient(180deg, ${palette.accent} 0%, ${palette.accentDeep} 50%, ${palette.accentHot} 100%)`,
+        WebkitBackgroundClip: 'text',
+        WebkitTextFillColor: 'transparent',
+      }}>
+        {t('gameComplete.title')}
+      </h2>
+      <p style={styles.subtitle}>{t('gameComplete.subtitle')}</p>
       
       <div style={styles.panel}>
-        {/* Master Volume */}
-        <div style={{ marginBottom: '2rem' }}>
-          <label style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span>Master Volume</span>
-            <span style={{ color: '#00ff88' }}>{Math.round(options.masterVolume * 100)}%</span>
-          </label>
-          <input
-            type="range"
-            min="0"
-            max="1"
-            step="0.05"
-            value={options.masterVolume}
-            onChange={(e) => onUpdateOptions({ ...options, masterVolume: parseFloat(e.target.value) })}
-            style={styles.slider}
-          />
-        </div>
-        
-        {/* Music Volume */}
-        <div style={{ marginBottom: '2rem' }}>
-          <label style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span>Music Volume</span>
-            <span style={{ color: '#00ff88' }}>{Math.round(options.musicVolume * 100)}%</span>
-          </label>
-          <input
-            type="range"
-            min="0"
-            max="1"
-            step="0.05"
-            value={options.musicVolume}
-            onChange={(e) => onUpdateOptions({ ...options, musicVolume: parseFloat(e.target.value) })}
-            style={styles.slider}
-          />
-        </div>
-        
-        {/* SFX Volume */}
-        <div style={{ marginBottom: '2rem' }}>
-          <label style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span>SFX Volume</span>
-            <span style={{ color: '#00ff88' }}>{Math.round(options.sfxVolume * 100)}%</span>
-          </label>
-          <input
-            type="range"
-            min="0"
-            max="1"
-            step="0.05"
-            value={options.sfxVolume}
-            onChange={(e) => onUpdateOptions({ ...options, sfxVolume: parseFloat(e.target.value) })}
-            style={styles.slider}
-          />
+        <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+          <div style={{ color: palette.textMuted, fontSize: '0.9rem', marginBottom: '0.5rem' }}>{t('common.finalScore')}</div>
+          <div style={{
+            fontSize: '3rem',
+            fontWeight: 900,
+            color: palette.accent,
+            textShadow: `0 0 20px ${alpha(palette.accent, 0.5)}`,
+          }}>
+            {formatNumber(totalScore)}
+          </div>
         </div>
         
-        {/* Voice Volume */}
         <div style={{ marginBottom: '2rem' }}>
-          <label style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span>Voice Volume</span>
-            <span style={{ color: '#00ff88' }}>{Math.round(options.voiceVolume * 100)}%</span>
-          </label>
-          <input
-            type="range"
-            min="0"
-            max="1"
-            step="0.05"
-            value={options.voiceVolume}
-            onChange={(e) => onUpdateOptions({ ...options, voiceVolume: parseFloat(e.target.value) })}
-            style={styles.slider}
-          />
-        </div>
-        
-        {/* Toggles */}
-        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginBottom: '2rem' }}>
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
-            <input
-              type="checkbox"
-              checked={options.showFPS}
-              onChange={(e) => onUpdateOptions({ ...options, showFPS: e.target.checked })}
-              style={{ width: '20px', height: '20px', accentColor: '#00ff88' }}
-            />
-            <span>Show FPS</span>
-          </label>
-          
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
-            <input
-              type="checkbox"
-              checked={options.screenShake}
-              onChange={(e) => onUpdateOptions({ ...options, screenShake: e.target.checked })}
-              style={{ width: '20px', height: '20px', accentColor: '#00ff88' }}
-            />
-            <span>Screen Shake</span>
-          </label>
-          
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
-            <input
-              type="checkbox"
-              checked={options.subtitles}
-              onChange={(e) => onUpdateOptions({ ...options, subtitles: e.target.checked })}
-              style={{ width: '20px', height: '20px', accentColor: '#00ff88' }}
-            />
-            <span>Subtitles</span>
-          </label>
+          <h3 style={{ color: palette.primary, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+            {t('gameComplete.pathTaken')}
+          </h3>
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', justifyContent: 'center' }}>
+            {completedLevels.map((levelId, index) => (
+              <React.Fragment key={levelId}>
+                <div style={{
+                  padding: '0.5rem 1rem',
+                  background: alpha(palette.primary, 0.1),
+                  border: `1px solid ${palette.primary}`,
+                  borderRadius: radius.small,
+                }}>
+                  {localize(campaign.levels[levelId]?.name) || levelId}
+                </div>
+                {index < completedLevels.length - 1 && (
+                  <span style={{ color: palette.border, alignSelf: 'center' }}>{dir === 'rtl' ? '←' : '→'}</span>
+                )}
+              </React.Fragment>
+            ))}
+          </div>
         </div>
         
-        {/* Difficulty (for NG+) */}
-        <div style={{ marginBottom: '2rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem' }}>Difficulty</label>
-          <select
-            value={options.difficulty}
-            onChange={(e) => onUpdateOptions({ ...options, difficulty: e.target.value })}
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              background: 'rgba(0, 0, 0, 0.5)',
-              border: '1px solid #00ff88',
-              borderRadius: '4px',
-              color: '#fff',
-              fontFamily: 'inherit',
-              fontSize: '1rem',
-            }}
-          >
-            <option value="normal">Normal</option>
-            <option value="hard">Hard</option>
-            <option value="expert">Expert (NG+)</option>
-          </select>
-        </div>
+        {newUnlock && (
+          <div style={{
+            background: alpha(palette.accent, 0.1),
+            border: `2px solid ${palette.accent}`,
+            borderRadius: radius.large,
+            padding: '1.5rem',
+            marginBottom: '2rem',
+            textAlign: 'center',
+          }}>
+            <div style={{ color: palette.accent, fontSize: '1rem', marginBottom: '0.5rem', fontWeight: 700 }}>
+              {t('gameComplete.newUnlock')}
+            </div>
+            <div style={{ color: palette.textStrong, fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.25rem' }}>
+              {localize(newUnlock.name)}
+            </div>
+            <div style={{ color: palette.textMuted, fontSize: '0.9rem' }}>
+              {localize(newUnlock.description)}
+            </div>
+          </div>
+        )}
         
-        <div style={{ display: 'flex', justifyContent: 'center' }}>
-          <MenuButton onClick={onBack}>Back</MenuButton>
+        {unlocks.length > 1 && (
+          <div style={{ marginBottom: '2rem' }}>
+            <h3 style={{ color: palette.accent, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+              {t('gameComplete.allUnlocks')}
+            </h3>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {unlocks.map((unlock, index) => (
+                <div
+                  key={index}
+                  style={{
+                    padding: '0.5rem 1rem',
+                    background: alpha(palette.accent, 0.05),
+                    border: `1px solid ${alpha(palette.accent, 0.2)}`,
+                    borderRadius: radius.small,
+                    fontSize: '0.85rem',
+                    color: palette.textSoft,
+                  }}
+                >
+                  {localize(unlock.name)}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <MenuButton onClick={onNewGamePlus}>
+            {t('gameComplete.newGamePlus')}
+          </MenuButton>
+          <MenuButton variant="secondary" onClick={onMainMenu}>
+            {t('common.mainMenu')}
+          </MenuButton>
         </div>
       </div>
     </div>
@@ -779,233 +5558,443 @@ const OptionsScreen = ({ options, onUpdateOptions, onBack }) => {
 };
 
 // ============================================================================
-// WINGMAN CHOICE SCREEN
+// HIGH SCORE SCREENS - Initials Entry and Tables
 // ============================================================================
 
-const WingmanChoiceScreen = ({ selectedWingmen, onSelect, onConfirm, maxSelections = 2 }) => {
-  const handleToggle = (wingmanId) => {
-    if (selectedWingmen.includes(wingmanId)) {
-      onSelect(selectedWingmen.filter(id => id !== wingmanId));
-    } else if (selectedWingmen.length < maxSelections) {
-      onSelect([...selectedWingmen, wingmanId]);
+const INITIALS_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 '.split('');
+const INITIALS_LENGTH = 3;
+
+const formatHighScoreTitle = (key, t) => {
+  const [mode, difficulty] = key.split(':');
+  return t('highScores.table', {
+    mode: t(`mode.${mode}`, { defaultValue: mode }),
+    difficulty: t(`difficulty.${difficulty}`, { defaultValue: difficulty }),
+  }).toUpperCase();
+};
+
+const HighScoreTable = ({ title, entries, highlightIndex = -1 }) => {
+  const { palette, fonts } = useTheme();
+  const { formatNumber } = useLocale();
+  
+  return (
+    <div>
+      <h3 style={{ color: palette.accent, margin: '0 0 0.75rem', fontSize: '0.9rem', textAlign: 'center', letterSpacing: '0.2em' }}>
+        {title}
+      </h3>
+      {entries.map((entry, index) => (
+        <div
+          key={index}
+          style={{
+            display: 'grid',
+            gridTemplateColumns: '2.5rem 4rem 1fr',
+            gap: '0.5rem',
+            padding: '0.2rem 0',
+            fontFamily: fonts.mono,
+            fontSize: '1rem',
+            color: index === highlightIndex ? palette.accent : palette.textSoft,
+          }}
+        >
+          <span>{String(index + 1).padStart(2, '0')}.</span>
+          <span style={{ fontWeight: 700 }}>{entry.initials}</span>
+          <span style={{ textAlign: 'end' }}>{formatNumber(entry.score)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const InitialsEntryScreen = ({ score, mode, difficulty, table, onSubmit }) => {
+  const { palette, fonts, styles } = useTheme();
+  const { t, formatNumber } = useLocale();
+  const [letters, setLetters] = useState(Array(INITIALS_LENGTH).fill('A'));
+  const [cursor, setCursor] = useState(0);
+  
+  const position = table.filter(entry => entry.score >= score).length;
+  const preview = [
+    ...table.slice(0, position),
+    { initials: letters.join(''), score },
+    ...table.slice(position),
+  ].slice(0, HIGH_SCORE_LIMIT);
+  
+  const stepLetter = (direction) => {
+    setLetters(current => current.map((letter, index) => (
+      index === cursor ? cycleValue(INITIALS_CHARSET, letter, direction) : letter
+    )));
+  };
+  
+  const submit = () => onSubmit(letters.join('').trim() || '---');
+  
+  const advance = () => {
+    if (cursor < INITIALS_LENGTH - 1) {
+      setCursor(cursor + 1);
+    } else {
+      submit();
+    }
+  };
+  
+  // Up/down change the letter, left/right move between letters. The row
+  // stays left-to-right in every layout, like the initials themselves.
+  const handleDirection = (action) => {
+    if (action === 'up' || action === 'down') {
+      stepLetter(action === 'up' ? 1 : -1);
+      return true;
+    }
+    if (action === 'left' && cursor > 0) {
+      setCursor(cursor - 1);
+      return true;
+    }
+    if (action === 'right' && cursor < INITIALS_LENGTH - 1) {
+      setCursor(cursor + 1);
+      return true;
     }
+    return false;
   };
   
+  // Back steps to the previous letter rather than leaving the screen
+  useNavBack(() => setCursor(current => Math.max(0, current - 1)));
+  
+  // Typing a letter or digit fills the current slot and moves on
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey || !/^[a-z0-9]$/i.test(event.key)) return;
+      const typed = event.key.toUpperCase();
+      setLetters(current => current.map((letter, index) => (index === cursor ? typed : letter)));
+      setCursor(current => Math.min(INITIALS_LENGTH - 1, current + 1));
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cursor]);
+  
   return (
     <div style={styles.screenContent}>
-      <h2 style={{ ...styles.title, fontSize: '2rem' }}>SELECT YOUR WINGMEN</h2>
-      <p style={styles.subtitle}>Choose {maxSelections} pilots to join your squadron</p>
+      <h2 style={{ ...styles.title, fontSize: '2.5rem', color: palette.accent }}>{t('highScores.newHighScore')}</h2>
+      <p style={styles.subtitle}>
+        {formatNumber(score)} — {formatHighScoreTitle(getHighScoreKey(mode, difficulty), t)}
+      </p>
       
-      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1rem', maxWidth: '900px' }}>
-        {WINGMEN_DATA.map((wingman) => {
-          const isSelected = selectedWingmen.includes(wingman.id);
-          return (
-            <div
-              key={wingman.id}
-              onClick={() => handleToggle(wingman.id)}
-              style={{
-                ...styles.card,
-                ...(isSelected ? styles.cardSelected : {}),
-                maxWidth: '280px',
-              }}
-            >
-              <div style={{ fontSize: '3rem', textAlign: 'center', marginBottom: '0.5rem' }}>
-                {wingman.portrait}
+      <div style={styles.panel}>
+        <FocusableItem
+          onActivate={advance}
+          onDirection={handleDirection}
+          autoFocus
+          style={{ display: 'flex', justifyContent: 'center', gap: '1rem', padding: '1rem', marginBottom: '1.5rem', direction: 'ltr' }}
+          aria-label={t('highScores.initials', { initials: letters.join('') })}
+        >
+          {letters.map((letter, index) => (
+            <div key={index} style={{ textAlign: 'center' }}>
+              <div
+                onClick={() => { setCursor(index); stepLetter(1); }}
+                style={{ color: palette.textMuted, cursor: 'pointer', userSelect: 'none' }}
+              >
+                ▲
               </div>
-              <h3 style={{ color: isSelected ? '#FFD700' : '#3388ff', margin: '0 0 0.25rem', fontSize: '1rem' }}>
-                {wingman.name}
-              </h3>
-              <div style={{ color: '#00ff88', fontSize: '0.75rem', marginBottom: '0.5rem' }}>
-                {wingman.callsign} • {wingman.specialty}
+              <div
+                onClick={() => setCursor(index)}
+                style={{
+                  width: '3rem',
+                  fontFamily: fonts.mono,
+                  fontSize: '2.5rem',
+                  fontWeight: 900,
+                  cursor: 'pointer',
+                  color: index === cursor ? palette.accent : palette.textStrong,
+                  borderBottom: `3px solid ${index === cursor ? palette.accent : palette.border}`,
+                }}
+              >
+                {letter === ' ' ? '_' : letter}
               </div>
-              <p style={{ color: '#888', fontSize: '0.85rem', marginBottom: '1rem' }}>
-                {wingman.description}
-              </p>
-              
-              {/* Stats */}
-              <div style={{ fontSize: '0.75rem' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
-                  <span>ATK</span>
-                  <span>{wingman.stats.attack}/5</span>
-                </div>
-                <div style={styles.statBar}>
-                  <div style={{ ...styles.statFill, width: `${wingman.stats.attack * 20}%`, background: '#ff4444' }} />
-                </div>
-                
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
-                  <span>DEF</span>
-                  <span>{wingman.stats.defense}/5</span>
-                </div>
-                <div style={styles.statBar}>
-                  <div style={{ ...styles.statFill, width: `${wingman.stats.defense * 20}%`, background: '#4488ff' }} />
-                </div>
-                
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
-                  <span>SUP</span>
-                  <span>{wingman.stats.support}/5</span>
-                </div>
-                <div style={styles.statBar}>
-                  <div style={{ ...styles.statFill, width: `${wingman.stats.support * 20}%` }} />
-                </div>
+              <div
+                onClick={() => { setCursor(index); stepLetter(-1); }}
+                style={{ color: palette.textMuted, cursor: 'pointer', userSelect: 'none' }}
+              >
+                ▼
               </div>
-              
-              {isSelected && (
-                <div style={{
-                  position: 'absolute',
-                  top: '10px',
-                  right: '10px',
-                  background: '#FFD700',
-                  color: '#000',
-                  borderRadius: '50%',
-                  width: '24px',
-                  height: '24px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  fontWeight: 700,
-                }}>
-                  ✓
-                </div>
-              )}
             </div>
-          );
-        })}
+          ))}
+        </FocusableItem>
+        
+        <HighScoreTable title={t('highScores.title')} entries={preview} highlightIndex={position} />
+        
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1.5rem' }}>
+          <MenuButton onClick={submit}>
+            {t('highScores.end')}
+          </MenuButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// RECORDS SCREEN - Run History and Career Stats
+// ============================================================================
+
+const RunTimeline = ({ run }) => {
+  const { palette } = useTheme();
+  const { t, localize, formatNumber, formatDateTime } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const squad = run.wingmen
+    .map(id => localize(roster.find(w => w.id === id)?.name) || id)
+    .join(', ');
+  
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', color: palette.textMuted, fontSize: '0.85rem', marginBottom: '1rem' }}>
+        <span>{formatDateTime(run.startedAt)}</span>
+        <span>{t('records.squad')} <span style={{ color: palette.secondary }}>{squad || '-'}</span></span>
+        <span>{t('records.difficulty', { difficulty: t(`difficulty.${run.difficulty}`, { defaultValue: run.difficulty }) })}</span>
+        {run.newGamePlusTier > 0 && <span style={{ color: palette.accent }}>{t('common.newGamePlusTier', { tier: run.newGamePlusTier })}</span>}
+        <span>{t('records.duration', { time: formatMissionTime(run.durationSeconds) })}</span>
       </div>
       
-      <div style={{ marginTop: '2rem' }}>
-        <MenuButton
-          onClick={onConfirm}
-          disabled={selectedWingmen.length !== maxSelections}
+      {run.missions.map((mission, index) => (
+        <div
+          key={index}
+          style={{
+            display: 'grid',
+            gridTemplateColumns: '2rem 1fr 3rem 6rem 4rem',
+            gap: '0.5rem',
+            padding: '0.5rem 0',
+            borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+            color: mission.completed ? palette.textSoft : palette.danger,
+          }}
         >
-          Confirm Team ({selectedWingmen.length}/{maxSelections})
-        </MenuButton>
+          <span>{mission.completed ? '✓' : '✗'}</span>
+          <span>{localize(campaign.levels[mission.levelId]?.name) || mission.levelId}</span>
+          <span style={{ fontWeight: 700 }}>{mission.rank || '-'}</span>
+          <span style={{ textAlign: 'end' }}>{formatNumber(mission.score)}</span>
+          <span style={{ textAlign: 'end' }}>{formatMissionTime(parseMissionTime(mission.time))}</span>
+        </div>
+      ))}
+      
+      <div style={{ textAlign: 'end', marginTop: '1rem', color: palette.accent, fontWeight: 700 }}>
+        {t(run.outcome === 'completed' ? 'records.finalScore' : 'records.abandonedAt', { score: run.totalScore })}
+      </div>
+    </div>
+  );
+};
+
+const RecordsScreen = ({ runs, onBack }) => {
+  const { palette, radius, styles } = useTheme();
+  const { dir, t, localize, formatNumber, formatDate } = useLocale();
+  const { campaign } = useGameData();
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const stats = useMemo(() => computeCareerStats(runs), [runs]);
+  const selectedRun = runs.find(run => run.id === selectedRunId);
+  
+  useNavBack(selectedRun ? () => setSelectedRunId(null) : onBack);
+  
+  const levelName = (levelId) => localize(campaign.levels[levelId]?.name) || levelId;
+  
+  if (selectedRun) {
+    return (
+      <div style={styles.screenContent}>
+        <h2 style={{ ...styles.title, fontSize: '2rem' }}>{t('records.runTimeline')}</h2>
+        <div style={styles.panel}>
+          <RunTimeline run={selectedRun} />
+          <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1.5rem' }}>
+            <MenuButton variant="secondary" sound="back" onClick={() => setSelectedRunId(null)} autoFocus>
+              {t('common.back')}
+            </MenuButton>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2.5rem' }}>{t('records.title')}</h2>
+      
+      <div style={styles.panel}>
+        <div style={styles.resultsGrid}>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{stats.runsCompleted}</div>
+            <div style={styles.resultLabel}>{t('records.runsCleared')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{stats.runsAbandoned}</div>
+            <div style={styles.resultLabel}>{t('records.abandoned')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{formatMissionTime(stats.totalPlaySeconds)}</div>
+            <div style={styles.resultLabel}>{t('records.playTime')}</div>
+          </div>
+          <div style={styles.resultItem}>
+            <div style={styles.resultValue}>{formatNumber(stats.bestScore)}</div>
+            <div style={styles.resultLabel}>{t('records.bestScore')}</div>
+          </div>
+        </div>
+        
+        {stats.mostUsedRoute && (
+          <div style={{ marginBottom: '1rem', color: palette.textSoft, fontSize: '0.9rem' }}>
+            <span style={{ color: palette.primary }}>{t('records.favouriteRoute')} </span>
+            {stats.mostUsedRoute.path.map(levelName).join(dir === 'rtl' ? ' ← ' : ' → ')}
+            <span style={{ color: palette.textMuted }}> ({stats.mostUsedRoute.count}×)</span>
+          </div>
+        )}
+        
+        {Object.keys(stats.averageRankByLevel).length > 0 && (
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+            {Object.entries(stats.averageRankByLevel).map(([levelId, rank]) => (
+              <div
+                key={levelId}
+                style={{
+                  padding: '0.25rem 0.75rem',
+                  border: `1px solid ${alpha(palette.primary, 0.3)}`,
+                  borderRadius: radius.small,
+                  fontSize: '0.8rem',
+                  color: palette.textSoft,
+                }}
+              >
+                {levelName(levelId)} <strong style={{ color: palette.accent }}>{rank}</strong>
+              </div>
+            ))}
+          </div>
+        )}
+        
+        <h3 style={{ color: palette.secondary, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+          {t('records.runHistory')}
+        </h3>
+        {runs.length === 0 && (
+          <p style={{ color: palette.textMuted, textAlign: 'center' }}>{t('records.noRuns')}</p>
+        )}
+        <div style={{ maxHeight: '40vh', overflowY: 'auto', marginBottom: '1.5rem' }}>
+          {runs.map((run) => (
+            <FocusableItem
+              key={run.id}
+              onClick={() => setSelectedRunId(run.id)}
+              onActivate={() => setSelectedRunId(run.id)}
+              aria-pressed={run.id === selectedRunId}
+              style={{
+                ...styles.optionRow,
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '1rem',
+                marginBottom: '0.5rem',
+                cursor: 'pointer',
+              }}
+              focusedStyle={styles.cardSelected}
+            >
+              <div>
+                <div style={{ color: run.outcome === 'completed' ? palette.primary : palette.warning, fontWeight: 700, fontSize: '0.85rem' }}>
+                  {run.outcome === 'completed' ? t('records.cleared') : t('records.abandonedTag')}
+                  {run.newGamePlusTier > 0 && <span style={{ color: palette.accent }}> • {t('common.newGamePlusTier', { tier: run.newGamePlusTier })}</span>}
+                </div>
+                <div style={{ color: palette.textMuted, fontSize: '0.8rem' }}>
+                  {formatDate(run.endedAt)} • {formatPath(run.path, dir) || '-'}
+                </div>
+              </div>
+              <div style={{ textAlign: 'end' }}>
+                <div style={{ color: palette.accent, fontWeight: 700 }}>{formatNumber(run.totalScore)}</div>
+                <div style={{ color: palette.textMuted, fontSize: '0.8rem' }}>{formatMissionTime(run.durationSeconds)}</div>
+              </div>
+            </FocusableItem>
+          ))}
+        </div>
+        
+        <div style={{ display: 'flex', justifyContent: 'center' }}>
+          <MenuButton variant="secondary" sound="back" onClick={onBack}>
+            {t('common.back')}
+          </MenuButton>
+        </div>
       </div>
     </div>
   );
 };
 
 // ============================================================================
-// MISSION BRIEFING SCREEN
+// BOSS RUSH SCREENS
 // ============================================================================
 
-const MissionScreen = ({ level, wingmen, onStartMission, onBack }) => {
-  const levelData = CAMPAIGN_DATA.levels[level];
+const BossRushBriefingScreen = ({ stageIndex, elapsedSeconds, lastStageSeconds, bestTime, wingmen, onStartMission, onAbandon }) => {
+  const { palette, radius, styles } = useTheme();
+  const { t, localize } = useLocale();
+  const { campaign, wingmen: roster } = useGameData();
+  const stages = getBossRushStages(campaign);
+  const stage = stages[stageIndex];
+  const levelData = campaign.levels[stage.levelId];
   
-  const selectedWingmenData = wingmen
-    .map(id => WINGMEN_DATA.find(w => w.id === id))
+  useNavBack(onAbandon);
+  
+  const squad = wingmen
+    .map(id => roster.find(w => w.id === id))
     .filter(Boolean);
   
   return (
     <div style={styles.screenContent}>
+      <h2 style={{ ...styles.title, fontSize: '2rem', color: palette.danger }}>{t('bossRush.title')}</h2>
+      <p style={styles.subtitle}>{t('bossRush.stage', { stage: stageIndex + 1, total: stages.length })}</p>
+      
       <div style={styles.panel}>
+        {lastStageSeconds !== null && (
+          <div style={{ textAlign: 'center', color: palette.primary, marginBottom: '1rem' }}>
+            {t('bossRush.stageClear', { time: formatMissionTime(lastStageSeconds) })}
+          </div>
+        )}
+        
         <div style={{
           display: 'flex',
           alignItems: 'center',
           gap: '1rem',
           marginBottom: '1.5rem',
           paddingBottom: '1rem',
-          borderBottom: '1px solid rgba(0, 255, 136, 0.3)',
+          borderBottom: `1px solid ${alpha(palette.danger, 0.3)}`,
         }}>
-          <div style={{
-            fontSize: '3rem',
-            fontWeight: 900,
-            color: '#FFD700',
-            textShadow: '0 0 20px rgba(255, 215, 0, 0.5)',
-          }}>
-            {level}
-          </div>
           <div>
-            <h2 style={{ margin: 0, color: '#00ff88', fontSize: '1.5rem' }}>
-              {levelData.name}
+            <h2 style={{ margin: 0, color: palette.danger, fontSize: '1.5rem' }}>
+              {localize(stage.boss)}
             </h2>
-            <div style={{ color: '#888', fontSize: '0.9rem' }}>
-              {levelData.subtitle}
+            <div style={{ color: palette.textMuted, fontSize: '0.9rem' }}>
+              {localize(levelData.name)} — {localize(levelData.subtitle)}
             </div>
           </div>
-          <div style={{ marginLeft: 'auto' }}>
-            <div style={{ color: '#888', fontSize: '0.75rem', textTransform: 'uppercase' }}>
-              Difficulty
+          <div style={{ marginInlineStart: 'auto', textAlign: 'end' }}>
+            <div style={{ color: palette.textMuted, fontSize: '0.75rem', textTransform: 'uppercase' }}>
+              {t('bossRush.totalTime')}
             </div>
-            <div style={{ display: 'flex', gap: '4px' }}>
-              {[1, 2, 3, 4, 5].map((i) => (
-                <div
-                  key={i}
-                  style={{
-                    width: '12px',
-                    height: '12px',
-                    background: i <= levelData.difficulty ? '#ff4444' : 'rgba(255, 255, 255, 0.1)',
-                    borderRadius: '2px',
-                  }}
-                />
-              ))}
+            <div style={{ color: palette.accent, fontSize: '1.5rem', fontWeight: 700 }}>
+              {formatMissionTime(elapsedSeconds)}
             </div>
+            {bestTime && (
+              <div style={{ color: palette.textMuted, fontSize: '0.75rem' }}>
+                {t('bossRush.best', { time: formatMissionTime(bestTime.totalSeconds) })}
+              </div>
+            )}
           </div>
         </div>
         
         <div style={{
           background: 'rgba(0, 0, 0, 0.3)',
           padding: '1.5rem',
-          borderRadius: '4px',
+          borderRadius: radius.small,
           marginBottom: '1.5rem',
         }}>
-          <h3 style={{ color: '#ff8844', margin: '0 0 0.5rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-            Mission Briefing
-          </h3>
-          <p style={{ color: '#ccc', margin: 0, lineHeight: 1.6 }}>
-            {levelData.description}
+          <p style={{ color: palette.textSoft, margin: 0, lineHeight: 1.6 }}>
+            {localize(stage.description || levelData.description)}
+          </p>
+          <p style={{ color: palette.warning, margin: '0.75rem 0 0', fontSize: '0.85rem' }}>
+            {t('bossRush.warning')}
           </p>
         </div>
         
-        <div style={{ marginBottom: '1.5rem' }}>
-          <h3 style={{ color: '#3388ff', margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-            Squadron
-          </h3>
-          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
-            <div style={{
-              background: 'rgba(255, 215, 0, 0.1)',
-              border: '1px solid rgba(255, 215, 0, 0.3)',
-              borderRadius: '4px',
-              padding: '0.75rem 1rem',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '0.5rem',
-            }}>
-              <span style={{ fontSize: '1.5rem' }}>🦊</span>
-              <div>
-                <div style={{ fontWeight: 700, color: '#FFD700' }}>FOX McCLOUD</div>
-                <div style={{ fontSize: '0.75rem', color: '#888' }}>Team Leader</div>
-              </div>
-            </div>
-            
-            {selectedWingmenData.map((wingman) => (
-              <div
-                key={wingman.id}
-                style={{
-                  background: 'rgba(0, 100, 255, 0.1)',
-                  border: '1px solid rgba(51, 136, 255, 0.3)',
-                  borderRadius: '4px',
-                  padding: '0.75rem 1rem',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '0.5rem',
-                }}
-              >
+        {squad.length > 0 && (
+          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+            {squad.map((wingman) => (
+              <div key={wingman.id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                 <span style={{ fontSize: '1.5rem' }}>{wingman.portrait}</span>
-                <div>
-                  <div style={{ fontWeight: 700, color: '#3388ff' }}>{wingman.name}</div>
-                  <div style={{ fontSize: '0.75rem', color: '#888' }}>{wingman.specialty}</div>
-                </div>
+                <span style={{ fontWeight: 700, color: palette.secondary }}>{localize(wingman.name)}</span>
               </div>
             ))}
           </div>
-        </div>
+        )}
         
         <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
-          <MenuButton variant="secondary" onClick={onBack}>
-            Back
+          <MenuButton variant="secondary" sound="back" onClick={onAbandon}>
+            {stageIndex > 0 ? t('bossRush.abandon') : t('common.back')}
           </MenuButton>
-          <MenuButton onClick={onStartMission}>
-            Launch Mission
+          <MenuButton onClick={onStartMission} autoFocus>
+            {stageIndex > 0 ? t('bossRush.nextStage') : t('bossRush.launch')}
           </MenuButton>
         </div>
       </div>
@@ -1013,126 +6002,98 @@ const MissionScreen = ({ level, wingmen, onStartMission, onBack }) => {
   );
 };
 
-// ============================================================================
-// RESULTS SCREEN
-// ============================================================================
-
-const ResultsScreen = ({ levelId, results, onContinue }) => {
-  const levelData = CAMPAIGN_DATA.levels[levelId];
-  const isVictory = results.completed;
+const BossRushResultsScreen = ({ results, record, onRetry, onMainMenu }) => {
+  const { palette, styles } = useTheme();
+  const { t, localize, formatNumber, formatDate } = useLocale();
+  const { campaign } = useGameData();
+  const stages = getBossRushStages(campaign);
+  
+  const cleared = results.length === stages.length && results.every(result => result.completed);
+  const totalSeconds = results.reduce((total, result) => total + parseMissionTime(result.time), 0);
+  const totalScore = results.reduce((total, result) => total + (result.score || 0), 0);
+  
+  useNavBack(onMainMenu);
   
   return (
     <div style={styles.screenContent}>
       <h2 style={{
         ...styles.title,
         fontSize: '2.5rem',
-        color: isVictory ? '#00ff88' : '#ff4444',
-        background: isVictory
-          ? 'linear-gradient(180deg, #00ff88 0%, #00cc66 100%)'
-          : 'linear-gradient(180deg, #ff6666 0%, #cc4444 100%)',
-        WebkitBackgroundClip: 'text',
-        WebkitTextFillColor: 'transparent',
+        color: cleared ? palette.accent : palette.danger,
       }}>
-        {isVictory ? 'MISSION COMPLETE' : 'MISSION FAILED'}
+        {cleared ? t('bossRush.clear') : t('bossRush.failed')}
       </h2>
+      {cleared && record?.rank === 0 && (
+        <p style={{ ...styles.subtitle, color: palette.accent }}>{t('bossRush.newBest')}</p>
+      )}
       
       <div style={styles.panel}>
-        <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
-          <span style={{ fontSize: '1.5rem', color: '#888' }}>{levelData.name}</span>
-        </div>
-        
         <div style={styles.resultsGrid}>
           <div style={styles.resultItem}>
-            <div style={styles.resultValue}>{results.score.toLocaleString()}</div>
-            <div style={styles.resultLabel}>Score</div>
-          </div>
-          <div style={styles.resultItem}>
-            <div style={styles.resultValue}>{results.hits}</div>
-            <div style={styles.resultLabel}>Hits</div>
+            <div style={styles.resultValue}>{formatMissionTime(totalSeconds)}</div>
+            <div style={styles.resultLabel}>{t('bossRush.totalTime')}</div>
           </div>
           <div style={styles.resultItem}>
-            <div style={styles.resultValue}>{results.accuracy}%</div>
-            <div style={styles.resultLabel}>Accuracy</div>
+            <div style={styles.resultValue}>{formatNumber(totalScore)}</div>
+            <div style={styles.resultLabel}>{t('common.score')}</div>
           </div>
           <div style={styles.resultItem}>
-            <div style={styles.resultValue}>{results.time}</div>
-            <div style={styles.resultLabel}>Time</div>
+            <div style={styles.resultValue}>{results.filter(result => result.completed).length}/{stages.length}</div>
+            <div style={styles.resultLabel}>{t('bossRush.bosses')}</div>
           </div>
         </div>
         
-        {/* Wingmen Status */}
         <div style={{ marginBottom: '1.5rem' }}>
-          <h3 style={{ color: '#3388ff', margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-            Squadron Status
-          </h3>
-          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-            {results.wingmenStatus.map((status, index) => (
+          {stages.map((stage, index) => {
+            const result = results[index];
+            return (
               <div
                 key={index}
                 style={{
-                  padding: '0.5rem 1rem',
-                  background: status.alive ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 68, 68, 0.1)',
-                  border: `1px solid ${status.alive ? '#00ff88' : '#ff4444'}`,
-                  borderRadius: '4px',
-                  fontSize: '0.85rem',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  padding: '0.5rem 0',
+                  borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+                  color: result ? (result.completed ? palette.textSoft : palette.danger) : palette.textDim,
                 }}
               >
-                <span style={{ marginRight: '0.5rem' }}>{status.portrait}</span>
-                {status.name}: {status.alive ? 'OK' : 'DOWN'}
+                <span>{index + 1}. {localize(stage.boss)}</span>
+                <span>
+                  {result ? `${formatMissionTime(parseMissionTime(result.time))}${result.completed ? '' : ' ✗'}` : '--:--'}
+                </span>
               </div>
-            ))}
-          </div>
+            );
+          })}
         </div>
         
-        {/* Bonuses */}
-        {results.bonuses && results.bonuses.length > 0 && (
+        {record?.times.length > 0 && (
           <div style={{ marginBottom: '1.5rem' }}>
-            <h3 style={{ color: '#FFD700', margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-              Bonuses
+            <h3 style={{ color: palette.accent, margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
+              {t('bossRush.bestTimes')}
             </h3>
-            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-              {results.bonuses.map((bonus, index) => (
-                <div
-                  key={index}
-                  style={{
-                    padding: '0.5rem 1rem',
-                    background: 'rgba(255, 215, 0, 0.1)',
-                    border: '1px solid rgba(255, 215, 0, 0.3)',
-                    borderRadius: '4px',
-                    fontSize: '0.85rem',
-                    color: '#FFD700',
-                  }}
-                >
-                  {bonus}
-                </div>
-              ))}
-            </div>
+            {record.times.map((entry, index) => (
+              <div
+                key={index}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  padding: '0.25rem 0',
+                  color: index === record.rank ? palette.accent : palette.textMuted,
+                }}
+              >
+                <span>{index + 1}. {formatDate(entry.completedAt)}</span>
+                <span>{formatMissionTime(entry.totalSeconds)}</span>
+              </div>
+            ))}
           </div>
         )}
         
-        {/* Rank */}
-        <div style={{
-          textAlign: 'center',
-          padding: '1rem',
-          background: 'rgba(0, 0, 0, 0.3)',
-          borderRadius: '4px',
-          marginBottom: '1.5rem',
-        }}>
-          <div style={{ color: '#888', fontSize: '0.8rem', marginBottom: '0.5rem' }}>RANK</div>
-          <div style={{
-            fontSize: '4rem',
-            fontWeight: 900,
-            background: 'linear-gradient(180deg, #FFD700 0%, #FF8C00 100%)',
-            WebkitBackgroundClip: 'text',
-            WebkitTextFillColor: 'transparent',
-          }}>
-            {results.rank}
-          </div>
-        </div>
-        
-        <div style={{ display: 'flex', justifyContent: 'center' }}>
-          <MenuButton onClick={onContinue}>
-            {isVictory ? 'Continue' : 'Retry'}
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <MenuButton onClick={onRetry} autoFocus>
+            {t('common.retry')}
+          </MenuButton>
+          <MenuButton variant="secondary" onClick={onMainMenu}>
+            {t('common.mainMenu')}
           </MenuButton>
         </div>
       </div>
@@ -1141,236 +6102,160 @@ const ResultsScreen = ({ levelId, results, onContinue }) => {
 };
 
 // ============================================================================
-// CAMPAIGN CHOICE SCREEN
+// PAUSE SCREEN
 // ============================================================================
 
-const CampaignChoiceScreen = ({ currentLevel, completedLevels, availableChoices, onSelectLevel }) => {
-  const renderPath = (from, to) => {
-    const fromPos = CAMPAIGN_DATA.mapPositions[from];
-    const toPos = CAMPAIGN_DATA.mapPositions[to];
-    
-    const isCompleted = completedLevels.includes(from) && completedLevels.includes(to);
-    const isAvailable = completedLevels.includes(from) && availableChoices.includes(to);
-    
-    return (
-      <line
-        key={`${from}-${to}`}
-        x1={`${fromPos.x}%`}
-        y1={`${fromPos.y}%`}
-        x2={`${toPos.x}%`}
-        y2={`${toPos.y}%`}
-        stroke={isCompleted ? '#00ff88' : isAvailable ? '#3388ff' : '#333'}
-        strokeWidth={isAvailable ? 4 : 2}
-        strokeDasharray={isAvailable && !isCompleted ? '8,4' : 'none'}
-      />
-    );
-  };
+/**
+ * Shown over a running level. Restarting and aborting ask first; Escape / B
+ * backs out of the question or resumes, and Start always resumes.
+ * hasMap picks the abort target's name: the campaign map, or the briefing
+ * before there is a map to return to.
+ */
+const PauseScreen = ({ levelId, hasMap = true, onAction, onOptions }) => {
+  const { palette, styles } = useTheme();
+  const { t, localize } = useLocale();
+  const { campaign } = useGameData();
+  const [pending, setPending] = useState(null);
+  const levelData = campaign.levels[levelId];
   
-  const getNodeStyle = (levelId) => {
-    if (completedLevels.includes(levelId)) return styles.mapNodeCompleted;
-    if (levelId === currentLevel) return styles.mapNodeCurrent;
-    if (availableChoices.includes(levelId)) return styles.mapNodeAvailable;
-    return styles.mapNodeLocked;
-  };
+  useNavBack(() => (pending ? setPending(null) : onAction('resume')));
+  useNavCapture((action) => {
+    if (action !== 'start') return false;
+    onAction('resume');
+    return true;
+  });
   
   return (
     <div style={styles.screenContent}>
-      <h2 style={{ ...styles.title, fontSize: '2rem' }}>CHOOSE YOUR PATH</h2>
-      <p style={styles.subtitle}>Select your next destination</p>
+      <h2 style={{ ...styles.title, fontSize: '2.5rem' }}>{t('pause.title')}</h2>
+      {levelData && <p style={styles.subtitle}>{localize(levelData.name)}</p>}
       
-      <div style={styles.panel}>
-        {/* Campaign Map */}
-        <div style={styles.campaignMap}>
-          <svg
-            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
-          >
-            {CAMPAIGN_DATA.connections.map(({ from, to }) => renderPath(from, to))}
-          </svg>
-          
-          {Object.entries(CAMPAIGN_DATA.mapPositions).map(([levelId, pos]) => {
-            const levelData = CAMPAIGN_DATA.levels[levelId];
-            const isClickable = availableChoices.includes(levelId);
-            
-            return (
-              <div
-                key={levelId}
-                onClick={() => isClickable && onSelectLevel(levelId)}
-                style={{
-                  ...styles.mapNode,
-                  ...getNodeStyle(levelId),
-                  left: `${pos.x}%`,
-                  top: `${pos.y}%`,
-                }}
-                title={levelData.name}
-              >
-                {levelId}
-              </div>
-            );
-          })}
-        </div>
-        
-        {/* Available Choices Detail */}
-        {availableChoices.length > 0 && (
-          <div>
-            <h3 style={{ color: '#00ff88', margin: '0 0 1rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-              Available Missions
-            </h3>
-            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
-              {availableChoices.map((levelId) => {
-                const levelData = CAMPAIGN_DATA.levels[levelId];
-                return (
-                  <div
-                    key={levelId}
-                    onClick={() => onSelectLevel(levelId)}
-                    style={{
-                      ...styles.card,
-                      flex: '1 1 200px',
-                      maxWidth: '300px',
-                    }}
-                  >
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem' }}>
-                      <span style={{
-                        fontSize: '1.5rem',
-                        fontWeight: 900,
-                        color: '#3388ff',
-                      }}>
-                        {levelId}
-                      </span>
-                      <div>
-                        <div style={{ fontWeight: 700, color: '#fff' }}>{levelData.name}</div>
-                        <div style={{ fontSize: '0.75rem', color: '#888' }}>{levelData.subtitle}</div>
-                      </div>
-                    </div>
-                    <p style={{ color: '#aaa', fontSize: '0.85rem', margin: 0 }}>
-                      {levelData.description}
-                    </p>
-                  </div>
-                );
-              })}
-            </div>
+      {pending ? (
+        <div style={{ textAlign: 'center' }}>
+          <div style={{ color: palette.accent, marginBottom: '1rem' }}>
+            {pending === 'restart' ? t('pause.confirmRestart') : t('pause.confirmAbort')}
           </div>
-        )}
-      </div>
+          <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+            <MenuButton variant="secondary" sound="back" onClick={() => setPending(null)}>
+              {t('common.cancel')}
+            </MenuButton>
+            <MenuButton
+              variant={pending === 'restart' ? 'primary' : 'danger'}
+              onClick={() => onAction(pending)}
+              autoFocus
+            >
+              {t('common.confirm')}
+            </MenuButton>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.5rem' }}>
+          <MenuButton onClick={() => onAction('resume')} autoFocus>
+            {t('pause.resume')}
+          </MenuButton>
+          <MenuButton onClick={() => setPending('restart')}>
+            {t('pause.restart')}
+          </MenuButton>
+          <MenuButton onClick={onOptions}>
+            {t('pause.options')}
+          </MenuButton>
+          <MenuButton variant="danger" onClick={() => setPending('abortToMap')}>
+            {hasMap ? t('pause.abortToMap') : t('pause.abortToBriefing')}
+          </MenuButton>
+          <MenuButton variant="danger" onClick={() => setPending('abortToMenu')}>
+            {t('pause.abortToMenu')}
+          </MenuButton>
+        </div>
+      )}
     </div>
   );
 };
 
 // ============================================================================
-// GAME COMPLETE SCREEN
+// SCREEN TRANSITIONS
 // ============================================================================
 
-const GameCompleteScreen = ({ totalScore, completedLevels, newGamePlusLevel, onNewGamePlus, onMainMenu }) => {
-  const unlocks = Object.entries(NEW_GAME_PLUS_UNLOCKS)
-    .filter(([level]) => parseInt(level) <= newGamePlusLevel)
-    .map(([, unlock]) => unlock);
+// Built-in transitions: keyframe names from MENU_KEYFRAMES and a duration in ms
+const TRANSITION_PRESETS = {
+  fade: { enter: 'menuFadeIn', exit: 'menuFadeOut', duration: 250 },
+  slide: { enter: 'menuSlideIn', exit: 'menuSlideOut', duration: 350 },
+  wipe: { enter: 'menuWipeIn', exit: 'menuWipeOut', duration: 400 },
+  crt: { enter: 'menuCrtOn', exit: 'menuCrtOff', duration: 500 },
+};
+
+// Which transition plays when each screen opens; 'default' covers the rest
+const DEFAULT_TRANSITIONS = {
+  default: 'fade',
+  mission: 'slide',
+  results: 'crt',
+  campaignChoice: 'wipe',
+  gameComplete: 'crt',
+};
+
+/**
+ * Resolves the transition for the screen being opened. Entries may be a
+ * preset name, a preset with overrides ({ type: 'slide', duration: 500 }),
+ * custom keyframes ({ enter, exit, duration }) or 'none' / null.
+ */
+const resolveTransition = (transitions, screen) => {
+  const entry = screen in transitions ? transitions[screen] : transitions.default;
+  if (!entry || entry === 'none') return null;
+  if (typeof entry === 'string') return TRANSITION_PRESETS[entry] || null;
+  return { ...TRANSITION_PRESETS[entry.type], ...entry };
+};
+
+/**
+ * Plays the enter animation of a new screen over the exit animation of the
+ * old one. The outgoing screen stays mounted (and keeps its state) until
+ * its animation ends; onBusyChange(true/false) brackets each transition so
+ * input can be held off meanwhile. layerRef points at the current screen.
+ */
+const ScreenTransition = ({ screenKey, transition, onBusyChange, layerRef, children }) => {
+  const { styles } = useTheme();
+  const [shownKey, setShownKey] = useState(screenKey);
+  const [outgoing, setOutgoing] = useState(null);
+  const [entering, setEntering] = useState(null);
+  const previousRef = useRef(children);
   
-  const newUnlock = NEW_GAME_PLUS_UNLOCKS[newGamePlusLevel];
+  if (shownKey !== screenKey) {
+    setShownKey(screenKey);
+    setOutgoing(transition ? { key: shownKey, element: previousRef.current } : null);
+    setEntering(transition);
+  }
+  
+  useEffect(() => {
+    previousRef.current = children;
+  });
+  
+  useEffect(() => {
+    if (!entering) return undefined;
+    if (onBusyChange) onBusyChange(true);
+    const timer = setTimeout(() => {
+      setOutgoing(null);
+      setEntering(null);
+      if (onBusyChange) onBusyChange(false);
+    }, entering.duration);
+    return () => clearTimeout(timer);
+  }, [entering]);
+  
+  // Never leave input held off if unmounted mid-transition
+  useEffect(() => () => {
+    if (onBusyChange) onBusyChange(false);
+  }, []);
+  
+  const animation = (name) => (entering && name ? { animation: `${name} ${entering.duration}ms ease both` } : null);
   
   return (
-    <div style={styles.screenContent}>
-      <h2 style={{
-        ...styles.title,
-        fontSize: '3rem',
-        background: 'linear-gradient(180deg, #FFD700 0%, #FF8C00 50%, #FF4500 100%)',
-        WebkitBackgroundClip: 'text',
-        WebkitTextFillColor: 'transparent',
-      }}>
-        VICTORY
-      </h2>
-      <p style={styles.subtitle}>The Lylat System is saved!</p>
-      
-      <div style={styles.panel}>
-        <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
-          <div style={{ color: '#888', fontSize: '0.9rem', marginBottom: '0.5rem' }}>FINAL SCORE</div>
-          <div style={{
-            fontSize: '3rem',
-            fontWeight: 900,
-            color: '#FFD700',
-            textShadow: '0 0 20px rgba(255, 215, 0, 0.5)',
-          }}>
-            {totalScore.toLocaleString()}
-          </div>
-        </div>
-        
-        <div style={{ marginBottom: '2rem' }}>
-          <h3 style={{ color: '#00ff88', margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-            Path Taken
-          </h3>
-          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', justifyContent: 'center' }}>
-            {completedLevels.map((levelId, index) => (
-              <React.Fragment key={levelId}>
-                <div style={{
-                  padding: '0.5rem 1rem',
-                  background: 'rgba(0, 255, 136, 0.1)',
-                  border: '1px solid #00ff88',
-                  borderRadius: '4px',
-                }}>
-                  {CAMPAIGN_DATA.levels[levelId]?.name || levelId}
-                </div>
-                {index < completedLevels.length - 1 && (
-                  <span style={{ color: '#444', alignSelf: 'center' }}>→</span>
-                )}
-              </React.Fragment>
-            ))}
-          </div>
-        </div>
-        
-        {newUnlock && (
-          <div style={{
-            background: 'rgba(255, 215, 0, 0.1)',
-            border: '2px solid #FFD700',
-            borderRadius: '8px',
-            padding: '1.5rem',
-            marginBottom: '2rem',
-            textAlign: 'center',
-          }}>
-            <div style={{ color: '#FFD700', fontSize: '1rem', marginBottom: '0.5rem', fontWeight: 700 }}>
-              🎉 NEW UNLOCK
-            </div>
-            <div style={{ color: '#fff', fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.25rem' }}>
-              {newUnlock.name}
-            </div>
-            <div style={{ color: '#888', fontSize: '0.9rem' }}>
-              {newUnlock.description}
-            </div>
-          </div>
-        )}
-        
-        {unlocks.length > 1 && (
-          <div style={{ marginBottom: '2rem' }}>
-            <h3 style={{ color: '#FFD700', margin: '0 0 0.75rem', fontSize: '0.9rem', textTransform: 'uppercase' }}>
-              All Unlocks
-            </h3>
-            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-              {unlocks.map((unlock, index) => (
-                <div
-                  key={index}
-                  style={{
-                    padding: '0.5rem 1rem',
-                    background: 'rgba(255, 215, 0, 0.05)',
-                    border: '1px solid rgba(255, 215, 0, 0.2)',
-                    borderRadius: '4px',
-                    fontSize: '0.85rem',
-                    color: '#ccc',
-                  }}
-                >
-                  {unlock.name}
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
-        
-        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
-          <MenuButton onClick={onNewGamePlus}>
-            New Game+
-          </MenuButton>
-          <MenuButton variant="secondary" onClick={onMainMenu}>
-            Main Menu
-          </MenuButton>
+    <>
+      {outgoing && outgoing.key !== screenKey && (
+        <div key={outgoing.key} style={{ ...styles.screenLayer, ...animation(entering.exit), pointerEvents: 'none' }} aria-hidden="true">
+          {outgoing.element}
         </div>
+      )}
+      <div key={screenKey} ref={layerRef} style={{ ...styles.screenLayer, ...animation(entering?.enter), pointerEvents: entering ? 'none' : undefined }}>
+        {children}
       </div>
-    </div>
+    </>
   );
 };
 
@@ -1386,21 +6271,114 @@ const GameCompleteScreen = ({ totalScore, completedLevels, newGamePlusLevel, onN
  * @param {function} onLevelComplete - Called by parent when level completes. Should return results object
  * @param {object} externalLevelResults - Results from completed level (passed by parent)
  * @param {boolean} levelInProgress - True when a level is currently being played
+ * @param {number} saveSlotCount - Number of save slots offered on the slot select screen
+ * @param {object} storage - Storage adapter ({ get, put, delete, getAll }); defaults to IndexedDB with fallbacks
+ * @param {string} storageNamespace - Database / key prefix used by the default storage
+ * @param {object} campaign - Campaign definition (levels, startLevel, mapPositions, connections)
+ * @param {array} wingmen - Wingman roster
+ * @param {object} unlocks - New Game+ unlocks keyed by completed run count
+ * @param {object} manifest - Loaded JSON manifest { campaign, wingmen, unlocks }; explicit props win
+ * @param {boolean} validateData - Log campaign graph diagnostics on mount (defaults to on outside production)
+ * @param {boolean} paused - Opens (true) or closes (false) the pause menu over a running level
+ * @param {boolean} pauseOnInput - Open the pause menu on Escape / Start while a level runs
+ * @param {function} onPauseChange - Called with true/false whenever the pause menu opens or closes
+ * @param {function} onPauseAction - Receives (action, { levelId, mode }) for 'resume', 'restart', 'abortToMap' or 'abortToMenu'
+ * @param {function} onOptionsChange - Receives the options whenever the player changes them
+ * @param {number} lives - Lives each campaign run starts with; null leaves lives out
+ * @param {boolean} abortCountsAsAttempt - Aborts and restarts add an attempt to the level's record
+ * @param {boolean} abortCostsLife - Aborts and restarts cost one of the run's lives
  * 
  * The component manages all menu states and calls onStartLevel when gameplay should begin.
  * The parent component should:
  * 1. Listen for onStartLevel and begin the actual Three.js level
  * 2. When level ends, set externalLevelResults and the menu system will show results
+ * 
+ * A ref exposes abortMission({ to, countAttempt, costLife }) and
+ * restartMission({ countAttempt, costLife }) for leaving or repeating the
+ * level in progress; both return false when no mission is running.
  */
-const StarfoxMenuSystem = ({
+const StarfoxMenuSystem = forwardRef(({
   onStartLevel,
   externalLevelResults = null,
   levelInProgress = false,
-}) => {
+  saveSlotCount = DEFAULT_SLOT_COUNT,
+  storage = null,
+  storageNamespace = DB_NAME,
+  campaign = null,
+  wingmen = null,
+  unlocks = null,
+  manifest = null,
+  validateData = isDevelopment(),
+  autoScore = false,
+  onError = null,
+  onTallyEvent = null,
+  transitions = null,
+  theme = 'n64',
+  locales = null,
+  audio = null,
+  audioEngine = null,
+  paused = null,
+  pauseOnInput = true,
+  onPauseChange = null,
+  onPauseAction = null,
+  onOptionsChange = null,
+  lives = null,
+  abortCountsAsAttempt = false,
+  abortCostsLife = false,
+}, ref) => {
+  const gameData = useMemo(() => ({
+    campaign: campaign || manifest?.campaign || DEFAULT_GAME_DATA.campaign,
+    wingmen: wingmen || manifest?.wingmen || DEFAULT_GAME_DATA.wingmen,
+    unlocks: unlocks || manifest?.unlocks || DEFAULT_GAME_DATA.unlocks,
+  }), [campaign, wingmen, unlocks, manifest]);
+  const startLevel = getStartLevel(gameData.campaign);
+  const themeValue = useMemo(() => buildThemeValue(theme), [theme]);
+  const { palette, effects, styles } = themeValue;
+  const localeTable = useMemo(
+    () => mergeLocales({ ...manifest?.locales, ...locales }),
+    [locales, manifest]
+  );
+  const screenTransitions = useMemo(
+    () => (transitions === false ? {} : { ...DEFAULT_TRANSITIONS, ...transitions }),
+    [transitions]
+  );
+  
+  const storageAdapter = useMemo(
+    () => storage || createDefaultStorage(storageNamespace),
+    [storage, storageNamespace]
+  );
+  
+  // A host-provided engine lets the game share the menu's volume buses and
+  // is never closed by the menu. One the menu makes itself is closed when
+  // the menu unmounts or audio / audioEngine change. audio.sounds and
+  // audio.crossfade are read once, when the engine is made.
+  const audioEnabled = audio !== false;
+  const [menuAudio, setMenuAudio] = useState(null);
+  useEffect(() => {
+    if (!audioEnabled || audioEngine) {
+      setMenuAudio(audioEnabled ? audioEngine : null);
+      return undefined;
+    }
+    
+    const engine = createMenuAudio({ sounds: audio?.sounds, crossfade: audio?.crossfade });
+    setMenuAudio(engine);
+    return () => engine.close();
+  }, [audioEngine, audioEnabled]);
+  
   // Game state
   const [screen, setScreen] = useState('loading');
   const [gameProgress, setGameProgress] = useState(null);
-  const [options, setOptions] = useState({
+  const [saveSlots, setSaveSlots] = useState([]);
+  const [activeSlot, setActiveSlot] = useState(null);
+  const [slotMode, setSlotMode] = useState('new');
+  const [importPreview, setImportPreview] = useState(null);
+  const [transitioning, setTransitioning] = useState(false);
+  const [announcement, setAnnouncement] = useState(null);
+  const [pauseOpen, setPauseOpen] = useState(false);
+  const [pauseView, setPauseView] = useState('pause');
+  const screenLayerRef = useRef(null);
+  const previousScreenRef = useRef(screen);
+  const [options, setOptions] = useState(() => ({
     masterVolume: 0.8,
     musicVolume: 0.7,
     sfxVolume: 1.0,
@@ -1408,25 +6386,84 @@ const StarfoxMenuSystem = ({
     showFPS: false,
     screenShake: true,
     subtitles: true,
+    reducedMotion: prefersReducedMotion(),
     difficulty: 'normal',
-  });
+    language: detectLanguage(localeTable),
+  }));
+  
+  // A saved language the host no longer provides falls back to English
+  const language = localeTable[options.language] ? options.language : 'en';
+  const localeValue = useMemo(() => buildLocaleValue(language, localeTable), [language, localeTable]);
+  const { dir, t } = localeValue;
   
   // Current run state
   const [selectedWingmen, setSelectedWingmen] = useState([]);
-  const [currentLevel, setCurrentLevel] = useState('1');
+  const [currentLevel, setCurrentLevel] = useState(startLevel);
   const [completedLevels, setCompletedLevels] = useState([]);
   const [totalScore, setTotalScore] = useState(0);
   const [lastResults, setLastResults] = useState(null);
+  const [activeUnlocks, setActiveUnlocks] = useState([]);
+  
+  // Lives left this run (null when the host doesn't use lives) and the
+  // aborts and restarts per level ({ [levelId]: { aborts, restarts } })
+  const [runLives, setRunLives] = useState(lives);
+  const [runInterruptions, setRunInterruptions] = useState({});
+  
+  // The mission being played ({ levelId, mode }), repeated by a restart.
+  // Handlers read the ref; launchActive re-renders when a launch opens or
+  // ends. The last results object used is kept so it is never counted twice.
+  const launchRef = useRef(null);
+  const [launchActive, setLaunchActive] = useState(false);
+  const usedResultsRef = useRef(null);
+  const setLaunch = (launch) => {
+    launchRef.current = launch;
+    setLaunchActive(Boolean(launch));
+  };
+  
+  // Boss Rush run in progress ({ results } per cleared/failed stage), or null
+  // for the campaign. Never written to a save slot.
+  const [bossRun, setBossRun] = useState(null);
+  const [bossRushRecord, setBossRushRecord] = useState(null);
   
-  // Load saved progress on mount
+  // Personal bests per level, and which ones the last result beat
+  const [levelRecords, setLevelRecords] = useState({});
+  const [newRecords, setNewRecords] = useState([]);
+  
+  // Every mission played this run, archived with the run when it ends
+  const [runMissions, setRunMissions] = useState([]);
+  const [runStartedAt, setRunStartedAt] = useState(null);
+  const [runHistory, setRunHistory] = useState([]);
+  
+  // High score tables, and a qualifying score waiting for initials
+  // ({ mode, difficulty, score, next }) before the player moves on
+  const [highScores, setHighScores] = useState({});
+  const [pendingHighScore, setPendingHighScore] = useState(null);
+  
+  // Report campaign graph problems before they surface as crashes
+  useEffect(() => {
+    if (!validateData) return;
+    
+    const report = validateCampaign(gameData.campaign);
+    if (report.errors.length > 0) {
+      console.error(`Campaign validation failed:\n${formatCampaignDiagnostics(report)}`);
+    } else if (report.warnings.length > 0) {
+      console.warn(`Campaign validation warnings:\n${formatCampaignDiagnostics(report)}`);
+    }
+  }, [validateData, gameData.campaign]);
+  
+  const refreshSaveSlots = useCallback(async () => {
+    setSaveSlots(await listSaveSlots(saveSlotCount, storageAdapter));
+  }, [saveSlotCount, storageAdapter]);
+  
+  // Load settings and save slot summaries on mount
   useEffect(() => {
     const loadProgress = async () => {
       try {
-        const saved = await loadGameProgress();
-        if (saved) {
-          setGameProgress(saved);
-          if (saved.options) setOptions(saved.options);
-        }
+        const savedOptions = await loadSettings(storageAdapter);
+        if (savedOptions) setOptions(current => ({ ...current, ...savedOptions }));
+        setLevelRecords(await loadLevelRecords(storageAdapter));
+        setHighScores(await loadHighScores(storageAdapter));
+        await refreshSaveSlots();
         setScreen('mainMenu');
       } catch (error) {
         console.error('Failed to load progress:', error);
@@ -1434,80 +6471,435 @@ const StarfoxMenuSystem = ({
       }
     };
     loadProgress();
-  }, []);
+  }, [storageAdapter, refreshSaveSlots]);
   
-  // Handle external level results
+  // Handle external level results. They close the launch they belong to;
+  // with no launch open (never launched, or aborted) they are stale and
+  // ignored, as is a results object that was already used.
   useEffect(() => {
-    if (externalLevelResults && !levelInProgress) {
-      setLastResults(externalLevelResults);
+    if (!externalLevelResults || levelInProgress) return;
+    if (!launchRef.current || usedResultsRef.current === externalLevelResults) return;
+    
+    usedResultsRef.current = externalLevelResults;
+    setLaunch(null);
+    const reported = readLevelResults(externalLevelResults);
+    if (bossRun) {
+      const stage = getBossRushStages(gameData.campaign)[bossRun.results.length];
+      handleBossStageResults(scoreResults(stage.levelId, reported, []));
+    } else {
+      const results = scoreResults(currentLevel, reported, activeUnlocks);
+      setLastResults(results);
+      setRunMissions(missions => [...missions, summarizeMission(currentLevel, results)]);
+      setNewRecords([]);
       setScreen('results');
+      updateLevelRecords(currentLevel, results);
     }
   }, [externalLevelResults, levelInProgress]);
   
-  // Auto-save progress
+  // Host results are normalised before use. Every field that was dropped or
+  // repaired goes to onError; without one it is logged while validateData
+  // is on, alongside the campaign diagnostics.
+  const readLevelResults = (raw) => {
+    const { results, problems } = normalizeLevelResults(raw, {
+      wingmen: gameData.wingmen,
+      requireRank: !autoScore,
+    });
+    if (problems.length > 0) {
+      if (onError) {
+        onError(problems, raw);
+      } else if (validateData) {
+        console.warn(`Level results were malformed:\n${problems.map(({ field, message }) => `  ${field}: ${message}`).join('\n')}`);
+      }
+    }
+    return results;
+  };
+  
+  // With autoScore the component grades missions itself, replacing the
+  // host's score and rank
+  const scoreResults = (levelId, results, unlockIds) => {
+    if (!autoScore) return results;
+    return {
+      ...results,
+      ...calculateMissionScore(results, getLevelScoring(gameData.campaign, levelId), {
+        difficulty: options.difficulty,
+        modifiers: resolveUnlockModifiers(gameData.unlocks, unlockIds),
+      }),
+    };
+  };
+  
+  const updateLevelRecords = async (levelId, results) => {
+    try {
+      const { records, improved } = await recordLevelResult(levelId, results, storageAdapter);
+      setLevelRecords(records);
+      setNewRecords(improved);
+    } catch (error) {
+      console.error('Failed to save level records:', error);
+    }
+  };
+  
+  // Auto-save progress to the active slot
   const saveProgress = useCallback(async (updates = {}) => {
+    if (!activeSlot) return;
+    
     const progress = {
-      options,
       currentLevel,
       completedLevels,
       selectedWingmen,
       totalScore,
       completedRuns: gameProgress?.completedRuns || 0,
+      lastResults: gameProgress?.lastResults || null,
+      activeUnlocks,
+      missions: runMissions,
+      startedAt: runStartedAt,
+      difficulty: options.difficulty,
+      lives: runLives,
+      interruptions: runInterruptions,
       ...updates,
     };
     
     try {
-      await saveGameProgress(progress);
+      await saveGameProgress(progress, activeSlot, storageAdapter);
       setGameProgress(progress);
+      await refreshSaveSlots();
     } catch (error) {
       console.error('Failed to save progress:', error);
     }
-  }, [options, currentLevel, completedLevels, selectedWingmen, totalScore, gameProgress]);
+  }, [activeSlot, currentLevel, completedLevels, selectedWingmen, totalScore, gameProgress, activeUnlocks, runMissions, runStartedAt, options.difficulty, runLives, runInterruptions, storageAdapter, refreshSaveSlots]);
+  
+  // Run history: the current run when it is won, or a slot's unfinished run
+  // when it is overwritten or deleted
+  const archiveCurrentRun = async (updates = {}) => {
+    if (!runStartedAt) return;
+    try {
+      await archiveRun(createRunRecord({
+        completedLevels,
+        selectedWingmen,
+        totalScore,
+        completedRuns: gameProgress?.completedRuns || 0,
+        missions: runMissions,
+        startedAt: runStartedAt,
+        difficulty: options.difficulty,
+        slotId: activeSlot,
+        ...updates,
+      }, 'completed'), storageAdapter);
+    } catch (error) {
+      console.error('Failed to archive run:', error);
+    }
+  };
+  
+  const archiveAbandonedSlot = async (slotId) => {
+    const progress = saveSlots.find(slot => slot.slotId === slotId)?.progress;
+    if (!isRunInProgress(progress)) return;
+    try {
+      await archiveRun(createRunRecord(progress, 'abandoned'), storageAdapter);
+    } catch (error) {
+      console.error('Failed to archive run:', error);
+    }
+  };
+  
+  const saveOptions = async (newOptions) => {
+    try {
+      await saveSettings(newOptions, storageAdapter);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  };
+  
+  const handleOptionsUpdate = (newOptions) => {
+    setOptions(newOptions);
+    saveOptions(newOptions);
+    if (onOptionsChange) onOptionsChange(newOptions);
+  };
+  
+  const handleExportSave = async () => {
+    try {
+      await downloadSaveData(`${storageNamespace}-save.json`, storageAdapter);
+    } catch (error) {
+      console.error('Failed to export save data:', error);
+    }
+  };
+  
+  const handleImportFile = async (file) => {
+    try {
+      setImportPreview(parseSaveData(await file.text(), {
+        campaign: gameData.campaign,
+        wingmen: gameData.wingmen,
+        slotCount: saveSlotCount,
+      }));
+    } catch (error) {
+      setImportPreview({
+        data: null,
+        errors: [createSaveError('READ_FAILED', `Could not read file: ${error.message}`, { reason: error.message })],
+      });
+    }
+    setScreen('importSave');
+  };
+  
+  const handleImportConfirm = async () => {
+    const { data } = importPreview;
+    try {
+      await importSaveData(data, storageAdapter);
+      if (data.options) {
+        const newOptions = { ...options, ...data.options };
+        setOptions(newOptions);
+        if (onOptionsChange) onOptionsChange(newOptions);
+      }
+      setLevelRecords(await loadLevelRecords(storageAdapter));
+      setHighScores(await loadHighScores(storageAdapter));
+      setActiveSlot(null);
+      setGameProgress(null);
+      await refreshSaveSlots();
+    } catch (error) {
+      console.error('Failed to import save data:', error);
+    }
+    setImportPreview(null);
+    setScreen('options');
+  };
   
   // Screen handlers
   const handleNewGame = () => {
+    setSlotMode('new');
+    setScreen('saveSlots');
+  };
+  
+  const handleContinue = () => {
+    setSlotMode('continue');
+    setScreen('saveSlots');
+  };
+  
+  const startNewGame = (completedRuns = 0) => {
+    // Earned unlocks start switched on; the player can opt out per run
+    const toggleableUnlocks = getToggleableUnlocks(gameData.unlocks, completedRuns);
+    
     setSelectedWingmen([]);
-    setCurrentLevel('1');
+    setCurrentLevel(startLevel);
     setCompletedLevels([]);
     setTotalScore(0);
-    setScreen('wingmanChoice');
+    setRunMissions([]);
+    setRunStartedAt(Date.now());
+    setRunLives(lives);
+    setRunInterruptions({});
+    setActiveUnlocks(toggleableUnlocks.map(([id]) => id));
+    setScreen(toggleableUnlocks.length > 0 ? 'newGamePlus' : 'wingmanChoice');
   };
   
-  const handleContinue = () => {
-    if (gameProgress) {
-      setSelectedWingmen(gameProgress.selectedWingmen || []);
-      setCurrentLevel(gameProgress.currentLevel || '1');
-      setCompletedLevels(gameProgress.completedLevels || []);
-      setTotalScore(gameProgress.totalScore || 0);
-      
-      // Determine which screen to show based on progress
-      if (gameProgress.completedLevels?.length > 0) {
-        setScreen('campaignChoice');
-      } else if (gameProgress.selectedWingmen?.length > 0) {
-        setScreen('mission');
-      } else {
-        setScreen('wingmanChoice');
+  const resumeGame = (progress) => {
+    setSelectedWingmen(progress.selectedWingmen || []);
+    setCurrentLevel(progress.currentLevel || startLevel);
+    setCompletedLevels(progress.completedLevels || []);
+    setTotalScore(progress.totalScore || 0);
+    setActiveUnlocks(progress.activeUnlocks || []);
+    setRunMissions(progress.missions || []);
+    setRunStartedAt(progress.startedAt || null);
+    setRunLives(progress.lives ?? lives);
+    setRunInterruptions(progress.interruptions || {});
+    
+    // Determine which screen to show based on progress
+    if (progress.completedLevels?.length > 0) {
+      setScreen('campaignChoice');
+    } else if (progress.selectedWingmen?.length > 0) {
+      setScreen('mission');
+    } else {
+      setScreen('wingmanChoice');
+    }
+  };
+  
+  const handleSlotSelect = async (slotId) => {
+    setActiveSlot(slotId);
+    
+    if (slotMode === 'new') {
+      await archiveAbandonedSlot(slotId);
+      try {
+        await clearGameProgress(slotId, storageAdapter);
+        await refreshSaveSlots();
+      } catch (error) {
+        console.error('Failed to clear save slot:', error);
       }
+      setGameProgress(null);
+      startNewGame();
+      return;
+    }
+    
+    const slot = saveSlots.find(entry => entry.slotId === slotId);
+    if (slot?.progress) {
+      setGameProgress(slot.progress);
+      resumeGame(slot.progress);
+    }
+  };
+  
+  const handleSlotCopy = async (fromSlotId, toSlotId) => {
+    await archiveAbandonedSlot(toSlotId);
+    try {
+      await copySaveSlot(fromSlotId, toSlotId, storageAdapter);
+      await refreshSaveSlots();
+    } catch (error) {
+      console.error('Failed to copy save slot:', error);
     }
   };
   
+  const handleSlotDelete = async (slotId) => {
+    await archiveAbandonedSlot(slotId);
+    try {
+      await clearGameProgress(slotId, storageAdapter);
+      await refreshSaveSlots();
+    } catch (error) {
+      console.error('Failed to delete save slot:', error);
+    }
+    if (slotId === activeSlot) {
+      setActiveSlot(null);
+      setGameProgress(null);
+    }
+  };
+  
+  const handleUnlockToggle = (unlockId) => {
+    setActiveUnlocks(activeUnlocks.includes(unlockId)
+      ? activeUnlocks.filter(id => id !== unlockId)
+      : [...activeUnlocks, unlockId]);
+  };
+  
+  const handleUnlocksConfirm = () => {
+    saveProgress({ activeUnlocks });
+    setScreen('wingmanChoice');
+  };
+  
   const handleWingmenConfirm = () => {
+    if (bossRun) {
+      setScreen('bossRushBriefing');
+      return;
+    }
     saveProgress({ selectedWingmen });
     setScreen('mission');
   };
   
-  const handleStartMission = () => {
-    // Call the parent's level start handler
-    if (onStartLevel) {
-      onStartLevel(currentLevel, {
+  // The level the run is on and the state handed to it, built from the
+  // current options, unlocks and lives so a restart sees any changes made
+  // while paused
+  const getLevelLaunch = (livesLeft = runLives) => {
+    if (bossRun) {
+      const stageIndex = bossRun.results.length;
+      const stage = getBossRushStages(gameData.campaign)[stageIndex];
+      return {
+        levelId: stage.levelId,
+        gameState: {
+          mode: 'bossRush',
+          boss: stage.boss,
+          stage: stageIndex,
+          elapsedSeconds: bossRun.results.reduce((total, result) => total + parseMissionTime(result.time), 0),
+          wingmen: selectedWingmen,
+          options,
+          completedLevels: [],
+          unlocks: [],
+          modifiers: resolveUnlockModifiers(gameData.unlocks, []),
+        },
+      };
+    }
+    return {
+      levelId: currentLevel,
+      gameState: {
+        mode: 'campaign',
         wingmen: selectedWingmen,
         options,
         completedLevels,
-      });
-    }
+        unlocks: activeUnlocks,
+        modifiers: resolveUnlockModifiers(gameData.unlocks, activeUnlocks),
+        lives: livesLeft,
+      },
+    };
+  };
+  
+  // Hands a level to the parent and remembers the launch for restarts
+  const launchLevel = ({ levelId, gameState }) => {
+    setLaunch({ levelId, mode: gameState.mode });
+    if (onStartLevel) onStartLevel(levelId, gameState);
     setScreen('playing');
   };
   
+  const handleStartMission = () => {
+    launchLevel(getLevelLaunch());
+  };
+  
+  const handleBossRush = async () => {
+    try {
+      const times = await loadBossRushTimes(storageAdapter);
+      setBossRushRecord({ times, rank: -1 });
+    } catch (error) {
+      console.error('Failed to load Boss Rush times:', error);
+      setBossRushRecord(null);
+    }
+    setBossRun({ results: [] });
+    setSelectedWingmen([]);
+    setScreen('wingmanChoice');
+  };
+  
+  const handleBossStageStart = () => {
+    launchLevel(getLevelLaunch());
+  };
+  
+  // A lost stage ends the run; clearing the last one records the time
+  const handleBossStageResults = async (results) => {
+    const stageResults = [...bossRun.results, results];
+    setBossRun({ results: stageResults });
+    
+    const stageCount = getBossRushStages(gameData.campaign).length;
+    if (results.completed && stageResults.length < stageCount) {
+      setScreen('bossRushBriefing');
+      return;
+    }
+    
+    if (results.completed) {
+      const stageSeconds = stageResults.map(result => parseMissionTime(result.time));
+      try {
+        setBossRushRecord(await saveBossRushTime({
+          totalSeconds: stageSeconds.reduce((total, seconds) => total + seconds, 0),
+          stageSeconds,
+          score: stageResults.reduce((total, result) => total + (result.score || 0), 0),
+          wingmen: selectedWingmen,
+          completedAt: Date.now(),
+        }, storageAdapter));
+      } catch (error) {
+        console.error('Failed to save Boss Rush time:', error);
+      }
+      queueHighScore('bossRush', stageResults.reduce((total, result) => total + (result.score || 0), 0));
+    }
+    setScreen('bossRushResults');
+  };
+  
+  const queueHighScore = (mode, score) => {
+    const difficulty = options.difficulty;
+    if (qualifiesForHighScore(highScores[getHighScoreKey(mode, difficulty)], score)) {
+      setPendingHighScore({ mode, difficulty, score, next: null });
+    }
+  };
+  
+  // Leaving a final screen goes through initials entry first when the
+  // run's score made the table
+  const afterHighScore = (next) => () => {
+    if (!pendingHighScore) {
+      next();
+      return;
+    }
+    setPendingHighScore({ ...pendingHighScore, next });
+    setScreen('initialsEntry');
+  };
+  
+  const handleInitialsSubmit = async (initials) => {
+    const { mode, difficulty, score, next } = pendingHighScore;
+    try {
+      const { tables } = await saveHighScore({ mode, difficulty, initials, score }, storageAdapter);
+      setHighScores(tables);
+    } catch (error) {
+      console.error('Failed to save high score:', error);
+    }
+    setPendingHighScore(null);
+    next();
+  };
+  
+  const handleBossRushRetry = () => {
+    setBossRun({ results: [] });
+    setBossRushRecord(record => record && { ...record, rank: -1 });
+    setScreen('bossRushBriefing');
+  };
+  
   const handleResultsContinue = () => {
     if (!lastResults?.completed) {
       // Retry level
@@ -1522,22 +6914,33 @@ const StarfoxMenuSystem = ({
     setCompletedLevels(newCompletedLevels);
     setTotalScore(newTotalScore);
     
-    const levelData = CAMPAIGN_DATA.levels[currentLevel];
+    const levelData = gameData.campaign.levels[currentLevel];
     
     // Check if game is complete
     if (levelData?.isFinal) {
       const newCompletedRuns = (gameProgress?.completedRuns || 0) + 1;
+      archiveCurrentRun({ completedLevels: newCompletedLevels, totalScore: newTotalScore });
+      setRunMissions([]);
+      setRunStartedAt(null);
+      setRunInterruptions({});
       saveProgress({
         completedLevels: newCompletedLevels,
         totalScore: newTotalScore,
         completedRuns: newCompletedRuns,
-        currentLevel: '1',
+        currentLevel: startLevel,
+        lastResults,
+        missions: [],
+        startedAt: null,
+        interruptions: {},
       });
+      queueHighScore('campaign', newTotalScore);
       setScreen('gameComplete');
     } else {
+      // Keep the results so gated branches survive a reload
       saveProgress({
         completedLevels: newCompletedLevels,
         totalScore: newTotalScore,
+        lastResults,
       });
       setScreen('campaignChoice');
     }
@@ -1550,34 +6953,196 @@ const StarfoxMenuSystem = ({
   };
   
   const handleNewGamePlus = async () => {
-    await clearGameProgress();
-    setSelectedWingmen([]);
-    setCurrentLevel('1');
-    setCompletedLevels([]);
-    setTotalScore(0);
-    setScreen('wingmanChoice');
+    await clearGameProgress(activeSlot, storageAdapter);
+    await refreshSaveSlots();
+    // Only the run count carries over into the next run
+    const completedRuns = gameProgress?.completedRuns || 0;
+    setGameProgress({ completedRuns });
+    startNewGame(completedRuns);
+  };
+  
+  const handleRecords = async () => {
+    try {
+      setRunHistory(await loadRunHistory(storageAdapter));
+    } catch (error) {
+      console.error('Failed to load run history:', error);
+    }
+    setScreen('records');
   };
   
   const handleMainMenu = () => {
+    setBossRun(null);
+    setPendingHighScore(null);
     setScreen('mainMenu');
   };
   
-  // Get available level choices
-  const getAvailableChoices = () => {
-    if (completedLevels.length === 0) return ['1'];
+  // The menu is hidden while a level runs. The pause menu opens over it only
+  // while the menu's launch is active: after an abort the host may still
+  // report levelInProgress, but there is nothing left to pause. The host
+  // hears about every open and close so it can freeze and resume the game.
+  const inLevel = levelInProgress || screen === 'playing';
+  const pausable = inLevel && launchActive;
+  const playingLevelId = bossRun
+    ? getBossRushStages(gameData.campaign)[bossRun.results.length]?.levelId
+    : currentLevel;
+  
+  const setPause = (open) => {
+    setPauseOpen(open);
+    setPauseView('pause');
+    if (onPauseChange) onPauseChange(open);
+  };
+  
+  const recordAbandonedAttempt = async (levelId) => {
+    try {
+      const { records } = await recordLevelResult(levelId, { completed: false }, storageAdapter);
+      setLevelRecords(records);
+    } catch (error) {
+      console.error('Failed to save level records:', error);
+    }
+  };
+  
+  // Aborts and restarts give up the attempt in progress without clearing
+  // the level. Campaign runs count them per level in the save, and by the
+  // rules may add an attempt to the level's record or cost a life. Boss
+  // Rush runs aren't saved. Returns the lives left.
+  const recordInterruption = (levelId, type, { countAttempt, costLife }) => {
+    if (bossRun) return runLives;
     
-    const lastCompleted = completedLevels[completedLevels.length - 1];
-    const lastLevelData = CAMPAIGN_DATA.levels[lastCompleted];
+    const counts = { aborts: 0, restarts: 0, ...runInterruptions[levelId] };
+    const interruptions = { ...runInterruptions, [levelId]: { ...counts, [type]: counts[type] + 1 } };
+    const livesLeft = costLife && runLives !== null ? Math.max(0, runLives - 1) : runLives;
     
-    if (!lastLevelData) return [];
+    setRunInterruptions(interruptions);
+    setRunLives(livesLeft);
+    saveProgress({ interruptions, lives: livesLeft });
+    if (countAttempt) recordAbandonedAttempt(levelId);
+    return livesLeft;
+  };
+  
+  // Leaves the mission for its briefing, the campaign map ('map', the
+  // briefing until a level is cleared) or the main menu. The screen shows
+  // once the host clears levelInProgress. A Boss Rush stage returns to its
+  // stage briefing.
+  const abortMission = ({ to = 'briefing', countAttempt = abortCountsAsAttempt, costLife = abortCostsLife } = {}) => {
+    if (pauseOpen) setPause(false);
+    const launch = launchRef.current;
+    if (!launch) return false;
     
-    return lastLevelData.nextChoices.filter(
-      levelId => !completedLevels.includes(levelId)
-    );
+    setLaunch(null);
+    recordInterruption(launch.levelId, 'aborts', { countAttempt, costLife });
+    if (to === 'menu') {
+      handleMainMenu();
+    } else if (bossRun) {
+      setScreen('bossRushBriefing');
+    } else {
+      setScreen(to === 'map' && completedLevels.length > 0 ? 'campaignChoice' : 'mission');
+    }
+    return true;
+  };
+  
+  // Starts the same mission again, with its state rebuilt the way a launch
+  // builds it (current options, unlock modifiers and lives)
+  const restartMission = ({ countAttempt = abortCountsAsAttempt, costLife = abortCostsLife } = {}) => {
+    if (pauseOpen) setPause(false);
+    const launch = launchRef.current;
+    if (!launch) return false;
+    
+    const livesLeft = recordInterruption(launch.levelId, 'restarts', { countAttempt, costLife });
+    launchLevel(getLevelLaunch(livesLeft));
+    return true;
+  };
+  
+  useImperativeHandle(ref, () => ({ abortMission, restartMission }));
+  
+  const handlePauseAction = (action) => {
+    const levelState = { levelId: playingLevelId, mode: bossRun ? 'bossRush' : 'campaign' };
+    
+    if (action === 'restart') {
+      restartMission();
+    } else if (action === 'abortToMap') {
+      abortMission({ to: 'map' });
+    } else if (action === 'abortToMenu') {
+      abortMission({ to: 'menu' });
+    } else {
+      setPause(false);
+    }
+    if (onPauseAction) onPauseAction(action, levelState);
   };
   
-  // Don't render menu system while level is in progress
-  if (levelInProgress || screen === 'playing') {
+  useEffect(() => {
+    if (paused === null) return;
+    setPauseOpen(paused);
+    setPauseView('pause');
+  }, [paused]);
+  
+  useEffect(() => {
+    if (!pausable && pauseOpen) setPause(false);
+  }, [pausable]);
+  
+  usePauseInput(pausable && !pauseOpen && pauseOnInput, () => setPause(true));
+  
+  // Next level choices, gated by the last cleared mission (kept in the
+  // save so a reload judges the same results)
+  const getAvailableChoices = () => getCampaignChoices(
+    gameData.campaign,
+    completedLevels,
+    lastResults?.completed ? lastResults : gameProgress?.lastResults || null,
+    { language, locales: localeTable }
+  );
+  
+  // Boss Rush opens once any slot has earned its unlock
+  const mostCompletedRuns = Math.max(0, ...saveSlots.map(slot => slot.progress?.completedRuns || 0));
+  const bossRushUnlocked = getBossRushStages(gameData.campaign).length > 0
+    && hasUnlockedMode(gameData.unlocks, mostCompletedRuns, 'bossRush');
+  
+  // Keep the audio buses in step with the volume options
+  useEffect(() => {
+    if (menuAudio) menuAudio.setVolumes(options);
+  }, [menuAudio, options.masterVolume, options.musicVolume, options.sfxVolume, options.voiceVolume]);
+  
+  // Each screen's music track ('default' covers the rest, 'pause' the pause
+  // menu). A screen with no entry keeps whatever is playing, and null fades
+  // the music out.
+  const musicKey = inLevel && pauseOpen ? 'pause' : screen;
+  useEffect(() => {
+    if (!menuAudio) return;
+    const music = audio?.music || {};
+    const track = musicKey in music ? music[musicKey] : music.default;
+    if (track !== undefined) menuAudio.playMusic(track);
+  }, [menuAudio, musicKey]);
+  
+  // Screen readers: a new screen takes focus on its heading and is announced,
+  // with the results screen read out in full. The first screen after loading
+  // is left alone so the menu doesn't steal focus from the host page.
+  const screenKey = inLevel ? pauseView : screen;
+  const hidden = inLevel && !pauseOpen;
+  useEffect(() => {
+    if (hidden) {
+      previousScreenRef.current = null;
+      return;
+    }
+    const previous = previousScreenRef.current;
+    previousScreenRef.current = screenKey;
+    if (previous === screenKey || previous === 'loading') return;
+    
+    const heading = screenLayerRef.current?.querySelector('h1, h2');
+    if (heading) {
+      heading.tabIndex = -1;
+      heading.focus({ preventScroll: true });
+    }
+    
+    let text = heading?.textContent || '';
+    if (screen === 'results' && lastResults) {
+      const level = gameData.campaign.levels[currentLevel]?.name || currentLevel;
+      text = lastResults.completed
+        ? t('results.announceComplete', { level, score: lastResults.score, rank: lastResults.rank })
+        : t('results.announceFailed', { level, score: lastResults.score });
+    }
+    if (text) setAnnouncement(current => ({ id: (current?.id || 0) + 1, text }));
+  }, [screenKey, hidden]);
+  
+  // Don't render menu system while level is in progress, unless paused
+  if (hidden) {
     return null;
   }
   
@@ -1587,8 +7152,8 @@ const StarfoxMenuSystem = ({
       case 'loading':
         return (
           <div style={styles.screenContent}>
-            <div style={{ color: '#00ff88', fontSize: '1.2rem' }}>
-              Loading...
+            <div style={{ color: palette.primary, fontSize: '1.2rem' }}>
+              {t('common.loading')}
             </div>
           </div>
         );
@@ -1598,9 +7163,24 @@ const StarfoxMenuSystem = ({
           <MainMenuScreen
             onNewGame={handleNewGame}
             onContinue={handleContinue}
+            onBossRush={bossRushUnlocked ? handleBossRush : null}
+            onRecords={handleRecords}
             onOptions={() => setScreen('options')}
-            hasSaveData={!!gameProgress?.selectedWingmen?.length}
-            completedRuns={gameProgress?.completedRuns || 0}
+            hasSaveData={saveSlots.some(slot => slot.progress)}
+            completedRuns={mostCompletedRuns}
+            highScores={highScores}
+          />
+        );
+        
+      case 'saveSlots':
+        return (
+          <SaveSlotScreen
+            slots={saveSlots}
+            mode={slotMode}
+            onSelectSlot={handleSlotSelect}
+            onCopySlot={handleSlotCopy}
+            onDeleteSlot={handleSlotDelete}
+            onBack={handleMainMenu}
           />
         );
         
@@ -1608,14 +7188,37 @@ const StarfoxMenuSystem = ({
         return (
           <OptionsScreen
             options={options}
-            onUpdateOptions={(newOptions) => {
-              setOptions(newOptions);
-              saveProgress({ options: newOptions });
-            }}
+            onUpdateOptions={handleOptionsUpdate}
+            onExportSave={handleExportSave}
+            onImportFile={handleImportFile}
             onBack={() => setScreen('mainMenu')}
           />
         );
         
+      case 'importSave':
+        return (
+          <ImportSaveScreen
+            preview={importPreview}
+            currentSlots={saveSlots}
+            onConfirm={handleImportConfirm}
+            onCancel={() => {
+              setImportPreview(null);
+              setScreen('options');
+            }}
+          />
+        );
+        
+      case 'newGamePlus':
+        return (
+          <NewGamePlusScreen
+            toggleableUnlocks={getToggleableUnlocks(gameData.unlocks, gameProgress?.completedRuns || 0)}
+            activeUnlocks={activeUnlocks}
+            onToggle={handleUnlockToggle}
+            onConfirm={handleUnlocksConfirm}
+            onBack={handleMainMenu}
+          />
+        );
+        
       case 'wingmanChoice':
         return (
           <WingmanChoiceScreen
@@ -1631,6 +7234,8 @@ const StarfoxMenuSystem = ({
           <MissionScreen
             level={currentLevel}
             wingmen={selectedWingmen}
+            levelRecord={levelRecords[currentLevel]}
+            subtitles={options.subtitles}
             onStartMission={handleStartMission}
             onBack={() => {
               if (completedLevels.length > 0) {
@@ -1656,19 +7261,64 @@ const StarfoxMenuSystem = ({
               wingmenStatus: [],
               bonuses: [],
             }}
+            squadron={selectedWingmen}
+            newRecords={newRecords}
+            reducedMotion={options.reducedMotion}
+            subtitles={options.subtitles}
+            onTallyEvent={onTallyEvent}
             onContinue={handleResultsContinue}
           />
         );
         
-      case 'campaignChoice':
+      case 'campaignChoice': {
+        const choices = getAvailableChoices();
         return (
           <CampaignChoiceScreen
             currentLevel={currentLevel}
             completedLevels={completedLevels}
-            availableChoices={getAvailableChoices()}
+            availableChoices={choices.available}
+            lockedChoices={choices.locked}
+            levelRecords={levelRecords}
+            squadron={selectedWingmen}
+            subtitles={options.subtitles}
             onSelectLevel={handleLevelSelect}
           />
         );
+      }
+        
+      case 'bossRushBriefing': {
+        const stageResults = bossRun.results;
+        const lastStage = stageResults[stageResults.length - 1];
+        return (
+          <BossRushBriefingScreen
+            stageIndex={stageResults.length}
+            elapsedSeconds={stageResults.reduce((total, result) => total + parseMissionTime(result.time), 0)}
+            lastStageSeconds={lastStage ? parseMissionTime(lastStage.time) : null}
+            bestTime={bossRushRecord?.times[0] || null}
+            wingmen={selectedWingmen}
+            onStartMission={handleBossStageStart}
+            onAbandon={handleMainMenu}
+          />
+        );
+      }
+        
+      case 'bossRushResults':
+        return (
+          <BossRushResultsScreen
+            results={bossRun.results}
+            record={bossRushRecord}
+            onRetry={afterHighScore(handleBossRushRetry)}
+            onMainMenu={afterHighScore(handleMainMenu)}
+          />
+        );
+        
+      case 'records':
+        return (
+          <RecordsScreen
+            runs={runHistory}
+            onBack={handleMainMenu}
+          />
+        );
         
       case 'gameComplete':
         return (
@@ -1676,8 +7326,19 @@ const StarfoxMenuSystem = ({
             totalScore={totalScore}
             completedLevels={completedLevels}
             newGamePlusLevel={gameProgress?.completedRuns || 1}
-            onNewGamePlus={handleNewGamePlus}
-            onMainMenu={handleMainMenu}
+            onNewGamePlus={afterHighScore(handleNewGamePlus)}
+            onMainMenu={afterHighScore(handleMainMenu)}
+          />
+        );
+        
+      case 'initialsEntry':
+        return (
+          <InitialsEntryScreen
+            score={pendingHighScore.score}
+            mode={pendingHighScore.mode}
+            difficulty={pendingHighScore.difficulty}
+            table={highScores[getHighScoreKey(pendingHighScore.mode, pendingHighScore.difficulty)] || []}
+            onSubmit={handleInitialsSubmit}
           />
         );
         
@@ -1686,15 +7347,60 @@ const StarfoxMenuSystem = ({
     }
   };
   
+  // The pause menu and its options, drawn over the running level. Save
+  // data import and export stay on the main menu's options screen.
+  const renderPauseScreen = () => {
+    if (pauseView === 'pauseOptions') {
+      return (
+        <OptionsScreen
+          options={options}
+          onUpdateOptions={handleOptionsUpdate}
+          onBack={() => setPauseView('pause')}
+        />
+      );
+    }
+    return (
+      <PauseScreen
+        levelId={playingLevelId}
+        hasMap={!bossRun && completedLevels.length > 0}
+        onAction={handlePauseAction}
+        onOptions={() => setPauseView('pauseOptions')}
+      />
+    );
+  };
+  
   return (
-    <div style={styles.container}>
-      <AnimatedBackground />
-      <div style={styles.scanlines} />
-      <div style={styles.vignette} />
-      {renderScreen()}
-    </div>
+    <GameDataContext.Provider value={gameData}>
+      <ThemeContext.Provider value={themeValue}>
+        <LocaleContext.Provider value={localeValue}>
+          <MenuAudioContext.Provider value={menuAudio}>
+            <NavigationProvider locked={transitioning} dir={dir} onSound={menuAudio ? menuAudio.playSound : undefined}>
+              <div style={inLevel ? styles.pauseOverlay : styles.container} dir={dir} lang={language}>
+                <style>{MENU_KEYFRAMES}</style>
+                {effects.starfield && !inLevel && <AnimatedBackground frozen={options.reducedMotion} />}
+                {effects.scanlines && !options.reducedMotion && <div style={styles.scanlines} aria-hidden="true" />}
+                {effects.vignette && !options.reducedMotion && <div style={styles.vignette} aria-hidden="true" />}
+                <ScreenTransition
+                  screenKey={screenKey}
+                  transition={options.reducedMotion ? null : resolveTransition(screenTransitions, screenKey)}
+                  onBusyChange={setTransitioning}
+                  layerRef={screenLayerRef}
+                >
+                  {inLevel ? renderPauseScreen() : renderScreen()}
+                </ScreenTransition>
+                <div role="status" style={styles.visuallyHidden}>
+                  {announcement && <span key={announcement.id}>{announcement.text}</span>}
+                </div>
+              </div>
+            </NavigationProvider>
+          </MenuAudioContext.Provider>
+        </LocaleContext.Provider>
+      </ThemeContext.Provider>
+    </GameDataContext.Provider>
   );
-};
+});
+
+StarfoxMenuSystem.displayName = 'StarfoxMenuSystem';
 
 // Export component and utilities
 export default StarfoxMenuSystem;
@@ -1702,7 +7408,64 @@ export {
   CAMPAIGN_DATA,
   WINGMEN_DATA,
   NEW_GAME_PLUS_UNLOCKS,
+  loadGameManifest,
+  validateCampaign,
+  formatCampaignDiagnostics,
+  getCampaignConnections,
+  computeCampaignLayout,
+  registerUnlockModifier,
+  getEarnedUnlocks,
+  parseMissionTime,
+  formatMissionTime,
+  resolveUnlockModifiers,
+  evaluateChoiceRequirements,
+  getCampaignChoices,
+  createIndexedDBStorage,
+  createLocalStorageStorage,
+  createMemoryStorage,
+  createDefaultStorage,
   saveGameProgress,
   loadGameProgress,
   clearGameProgress,
+  copySaveSlot,
+  listSaveSlots,
+  saveSettings,
+  loadSettings,
+  loadBossRushTimes,
+  saveBossRushTime,
+  loadLevelRecords,
+  recordLevelResult,
+  loadRunHistory,
+  archiveRun,
+  loadHighScores,
+  saveHighScore,
+  getHighScoreKey,
+  qualifiesForHighScore,
+  createRunRecord,
+  computeCareerStats,
+  mergeLevelRecord,
+  getLevelMedal,
+  getLevelScoring,
+  calculateMissionScore,
+  normalizeLevelResults,
+  THEME_PRESETS,
+  createTheme,
+  useTheme,
+  LOCALES,
+  createTranslator,
+  localizeText,
+  useLocale,
+  MENU_SOUND_PRESETS,
+  createMenuAudio,
+  useMenuAudio,
+  getCommsScript,
+  registerSaveMigration,
+  getSaveSchemaVersion,
+  migrateSaveRecord,
+  createLevelRenameMigration,
+  exportSaveData,
+  downloadSaveData,
+  parseSaveData,
+  validateSaveData,
+  importSaveData,
 };
@@ -0,0 +1,40 @@
+/**
+ * validate-campaign.mjs
+ * 
+ * Checks a campaign definition for dangling level ids, missing map positions,
+ * connections that disagree with nextChoices, unreachable levels, cycles and
+ * a missing final level. Exits with code 1 when any error is found.
+ * 
+ * The component is JSX, so this runs through tsx (a dev dependency, with
+ * react) after `npm install`:
+ * 
+ *   npm run validate-campaign                    # built-in CAMPAIGN_DATA
+ *   npm run validate-campaign -- campaign.json   # manifest or bare campaign
+ */
+
+import { readFile } from 'node:fs/promises';
+import {
+  CAMPAIGN_DATA,
+  validateCampaign,
+  formatCampaignDiagnostics,
+} from '../StarfoxMenuSystem.jsx';
+
+const [manifestPath] = process.argv.slice(2);
+
+let campaign = CAMPAIGN_DATA;
+if (manifestPath) {
+  const data = JSON.parse(await readFile(manifestPath, 'utf8'));
+  campaign = data.campaign || data;
+}
+
+const report = validateCampaign(campaign);
+const source = manifestPath || 'CAMPAIGN_DATA';
+
+if (report.errors.length === 0 && report.warnings.length === 0) {
+  console.log(`${source}: campaign OK (${Object.keys(campaign.levels).length} levels)`);
+} else {
+  console.log(`${source}:\n${formatCampaignDiagnostics(report)}`);
+  console.log(`\n${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+}
+
+process.exitCode = report.valid ? 0 : 1;
@@ -0,0 +1,57 @@
+/**
+ * campaign-validation.test.mjs
+ * 
+ * validateCampaign on malformed input: it reports what it can't check
+ * rather than throwing. The map layout skips the same entries, so a bad
+ * manifest still draws with validateData off.
+ * 
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCampaign, getCampaignConnections, computeCampaignLayout } from '../StarfoxMenuSystem.jsx';
+
+const codes = (diagnostics) => diagnostics.map(diagnostic => diagnostic.code);
+
+test('null and non-object levels are reported as INVALID_LEVEL and skipped', () => {
+  const report = validateCampaign({
+    startLevel: '1',
+    levels: {
+      '1': { id: '1', nextChoices: ['2', 'bad'] },
+      '2': { id: '2', nextChoices: [], isFinal: true },
+      bad: null,
+      worse: 'CORNERIA',
+    },
+  });
+  
+  assert.equal(report.valid, false);
+  assert.deepEqual(
+    report.errors.filter(error => error.code === 'INVALID_LEVEL').map(error => error.levelId),
+    ['bad', 'worse'],
+  );
+  assert.deepEqual(codes(report.errors), ['INVALID_LEVEL', 'INVALID_LEVEL', 'DANGLING_NEXT_CHOICE']);
+});
+
+test('a campaign of only invalid levels has no levels', () => {
+  const report = validateCampaign({ levels: { '1': null } });
+  assert.deepEqual(codes(report.errors), ['INVALID_LEVEL', 'NO_LEVELS']);
+});
+
+test('the map leaves out levels that are not objects', () => {
+  const campaign = {
+    startLevel: '1',
+    levels: {
+      '1': { id: '1', nextChoices: ['2', 'bad'] },
+      '2': { id: '2', nextChoices: [], isFinal: true },
+      bad: null,
+      worse: ['3'],
+    },
+    mapPositions: { bad: { x: 50, y: 50 } },
+  };
+  
+  assert.deepEqual(getCampaignConnections(campaign), [{ from: '1', to: '2' }]);
+  const layout = computeCampaignLayout(campaign);
+  assert.deepEqual(Object.keys(layout.positions), ['1', '2']);
+  assert.equal(layout.layerCount, 2);
+});
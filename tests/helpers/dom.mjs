@@ -0,0 +1,99 @@
+/**
+ * dom.mjs
+ *
+ * Shared setup for the suites that render the menu: a jsdom window on the
+ * globals (before react-dom loads, so it sees a DOM), a mount helper that
+ * always unmounts, and the input helpers the suites drive the menu with.
+ */
+
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!doctype html><div id="root"></div>', { pretendToBeVisual: true });
+['window', 'document', 'navigator', 'HTMLElement', 'Node', 'KeyboardEvent', 'MouseEvent', 'Event', 'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle']
+  .forEach((key) => Object.defineProperty(globalThis, key, { value: dom.window[key], configurable: true, writable: true }));
+// jsdom has no canvas; the starfield only needs drawing calls to exist
+dom.window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, { get: () => () => {} });
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { default: React, act } = await import('react');
+const { createRoot } = await import('react-dom/client');
+const { default: StarfoxMenuSystem, createMemoryStorage } = await import('../../StarfoxMenuSystem.jsx');
+
+export { dom, React, act };
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const settle = () => act(async () => { await sleep(30); });
+export const byText = (selector, label) => [...document.querySelectorAll(selector)].find(element => element.textContent.includes(label));
+
+export const click = async (element) => {
+  assert.ok(element, 'element to click exists');
+  await act(async () => {
+    element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    await sleep(20);
+  });
+};
+
+export const press = async (key) => {
+  await act(async () => {
+    window.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    await sleep(20);
+  });
+};
+
+// React tracks input values, so set them the way the browser does
+export const setRange = async (input, value) => {
+  await act(async () => {
+    Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set.call(input, String(value));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    await sleep(20);
+  });
+};
+
+/**
+ * Mounts the menu with fresh memory storage, no validation and no
+ * transitions. `props` apply to every render; `render(extra)` adds props for
+ * that render only. The menu is unmounted after the test as well, so a
+ * failed assertion can't leave the starfield animating and the runner
+ * waiting.
+ */
+export const mountMenu = (t, props = {}) => {
+  const root = createRoot(document.getElementById('root'));
+  const ref = React.createRef();
+  const storage = createMemoryStorage();
+  let mounted = true;
+
+  const unmount = async () => {
+    if (mounted) await act(async () => root.unmount());
+    mounted = false;
+  };
+  t.after(unmount);
+
+  const render = async (extra = {}, wrap = element => element) => {
+    const element = React.createElement(StarfoxMenuSystem, {
+      storage,
+      validateData: false,
+      transitions: false,
+      ...props,
+      ...extra,
+      ref,
+    });
+    await act(async () => root.render(wrap(element)));
+    await settle();
+  };
+
+  return { ref, storage, render, unmount };
+};
+
+// From the main menu: a new game in slot 1 with Falco and Peppy, launched,
+// with the host reporting the level in progress
+export const startMission = async (menu) => {
+  await menu.render();
+  await click(byText('button', 'New Game'));
+  await click(byText('[role="button"]', 'SLOT 1'));
+  await click(byText('h3', 'FALCO'));
+  await click(byText('h3', 'PEPPY'));
+  await click(byText('button', 'Confirm Team'));
+  await click(byText('button', 'Launch'));
+  await menu.render({ levelInProgress: true });
+};
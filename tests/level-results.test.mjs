@@ -0,0 +1,53 @@
+/**
+ * level-results.test.mjs
+ * 
+ * Normalising host results: a numeric time means milliseconds both when
+ * results arrive and when a stored mission time is read back.
+ * 
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLevelResults, parseMissionTime } from '../StarfoxMenuSystem.jsx';
+
+test('a numeric time is milliseconds when normalised and when parsed', () => {
+  const { results, problems } = normalizeLevelResults({ completed: true, time: 90000, rank: 'B' });
+  assert.deepEqual(problems, []);
+  assert.equal(results.time, '1:30');
+  
+  assert.equal(parseMissionTime(results.time), 90);
+  assert.equal(parseMissionTime(90000), 90);
+});
+
+test('malformed fields are repaired and reported', () => {
+  const { results, problems } = normalizeLevelResults({ completed: 'yes', score: -1, time: 'soon', rank: 'B' });
+  assert.equal(results.completed, false);
+  assert.equal(results.score, 0);
+  assert.equal(results.time, '0:00');
+  assert.deepEqual(problems.map(problem => problem.field), ['completed', 'score', 'time']);
+});
+
+test('an accuracy of exactly 1 is reported unless its scale is given', () => {
+  const unscaled = normalizeLevelResults({ completed: true, accuracy: 1, rank: 'B' });
+  assert.equal(unscaled.results.accuracy, 100);
+  assert.deepEqual(unscaled.problems.map(problem => problem.field), ['accuracy']);
+  
+  const percent = normalizeLevelResults({ completed: true, accuracy: 1, accuracyScale: 'percent', rank: 'B' });
+  assert.deepEqual(percent.problems, []);
+  assert.equal(percent.results.accuracy, 1);
+  
+  const fraction = normalizeLevelResults({ completed: true, accuracy: 1, accuracyScale: 'fraction', rank: 'B' });
+  assert.deepEqual(fraction.problems, []);
+  assert.equal(fraction.results.accuracy, 100);
+});
+
+test('either side of 1 is unambiguous, and a scale overrides the guess', () => {
+  assert.equal(normalizeLevelResults({ completed: true, accuracy: 0.99, rank: 'B' }).results.accuracy, 99);
+  assert.equal(normalizeLevelResults({ completed: true, accuracy: 1.5, rank: 'B' }).results.accuracy, 2);
+  assert.equal(normalizeLevelResults({ completed: true, accuracy: 0.5, accuracyScale: 'percent', rank: 'B' }).results.accuracy, 1);
+  
+  const { results, problems } = normalizeLevelResults({ completed: true, accuracy: 72, accuracyScale: 'percentage', rank: 'B' });
+  assert.equal(results.accuracy, 72);
+  assert.deepEqual(problems.map(problem => problem.field), ['accuracyScale']);
+});
@@ -0,0 +1,28 @@
+/**
+ * locales.test.mjs
+ *
+ * The shipped languages: every string English has is translated, so none
+ * silently falls back to English.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { LOCALES } from '../StarfoxMenuSystem.jsx';
+
+const englishKeys = Object.keys(LOCALES.en.strings);
+
+test('every shipped locale has every English key', () => {
+  Object.entries(LOCALES).forEach(([language, locale]) => {
+    const missing = englishKeys.filter(key => !(key in locale.strings));
+    assert.deepEqual(missing, [], `${language} is missing keys`);
+  });
+});
+
+test('every string the component asks for by name is in English', async () => {
+  const source = await readFile(new URL('../StarfoxMenuSystem.jsx', import.meta.url), 'utf8');
+  const used = [...source.matchAll(/\bt\('([\w.]+)'/g)].map(match => match[1]);
+  assert.deepEqual([...new Set(used.filter(key => !englishKeys.includes(key)))], []);
+});
@@ -0,0 +1,93 @@
+/**
+ * menu-audio.test.mjs
+ *
+ * The AudioContext lifecycle of the menu's audio engine: one the menu made
+ * is closed when it is no longer used, one the host passed in never is.
+ * Runs on jsdom with the other suites:
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dom, React, mountMenu } from './helpers/dom.mjs';
+import { createMenuAudio } from '../StarfoxMenuSystem.jsx';
+
+// jsdom has no Web Audio either: every node is a stand-in that accepts any call
+const anyNode = new Proxy(function () {}, {
+  get: (target, key) => (key === 'then' ? undefined : anyNode),
+  apply: () => anyNode,
+});
+
+const contexts = [];
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.currentTime = 0;
+    this.destination = anyNode;
+    contexts.push(this);
+  }
+  createGain() { return anyNode; }
+  createOscillator() { return anyNode; }
+  createBufferSource() { return anyNode; }
+  resume() { return Promise.resolve(); }
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+dom.window.AudioContext = FakeAudioContext;
+
+test('the context the menu made is closed on unmount', async (t) => {
+  contexts.length = 0;
+  const menu = mountMenu(t);
+  await menu.render();
+  assert.equal(contexts.length, 1);
+  assert.equal(contexts[0].state, 'running');
+
+  await menu.unmount();
+  assert.equal(contexts[0].state, 'closed');
+});
+
+test('switching audio off closes the context, and back on makes a new one', async (t) => {
+  contexts.length = 0;
+  const menu = mountMenu(t);
+  await menu.render();
+  await menu.render({ audio: false });
+  assert.deepEqual(contexts.map(context => context.state), ['closed']);
+
+  await menu.render();
+  assert.deepEqual(contexts.map(context => context.state), ['closed', 'running']);
+  await menu.unmount();
+});
+
+test('StrictMode double effects leave no context open', async (t) => {
+  contexts.length = 0;
+  const menu = mountMenu(t);
+  await menu.render({}, element => React.createElement(React.StrictMode, null, element));
+  assert.equal(contexts.filter(context => context.state === 'running').length, 1);
+
+  await menu.unmount();
+  assert.ok(contexts.every(context => context.state === 'closed'));
+});
+
+test('a host engine and its context stay open', async (t) => {
+  contexts.length = 0;
+  const audioEngine = createMenuAudio();
+  const menu = mountMenu(t);
+  await menu.render({ audioEngine });
+  await menu.render({ audioEngine, audio: false });
+  await menu.unmount();
+
+  assert.equal(contexts.length, 1);
+  assert.equal(audioEngine.context.state, 'running');
+
+  audioEngine.close();
+  assert.equal(audioEngine.context.state, 'closed');
+});
+
+test('close() leaves a context passed to createMenuAudio open', () => {
+  const context = new FakeAudioContext();
+  createMenuAudio({ context }).close();
+  assert.equal(context.state, 'running');
+});
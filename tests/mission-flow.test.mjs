@@ -0,0 +1,102 @@
+/**
+ * mission-flow.test.mjs
+ * 
+ * Drives the menu through a mission in a simulated DOM: launch, pause,
+ * change options, restart. Runs on jsdom with the other suites:
+ * 
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { act, byText, click, press, setRange, mountMenu, startMission } from './helpers/dom.mjs';
+
+test('restarting after changing options while paused launches with the new options', async (t) => {
+  const launches = [];
+  const menu = mountMenu(t, {
+    audio: false,
+    onStartLevel: (levelId, gameState) => launches.push({ levelId, gameState }),
+  });
+  
+  await startMission(menu);
+  assert.equal(launches.length, 1);
+  assert.equal(launches[0].gameState.options.masterVolume, 0.8);
+  
+  await press('Escape');
+  await click(byText('button', 'Options'));
+  await setRange(document.querySelector('input[type="range"]'), 0.5);
+  await press('Escape');
+  await click(byText('button', 'Restart Mission'));
+  await click(byText('button', 'Confirm'));
+  
+  assert.equal(launches.length, 2);
+  assert.equal(launches[1].levelId, launches[0].levelId);
+  assert.equal(launches[1].gameState.options.masterVolume, 0.5);
+  assert.deepEqual(launches[1].gameState.modifiers, launches[0].gameState.modifiers);
+});
+
+test('malformed results reach onError even with validateData off', async (t) => {
+  const reports = [];
+  const menu = mountMenu(t, {
+    audio: false,
+    onError: (problems, raw) => reports.push({ problems, raw }),
+  });
+  
+  await startMission(menu);
+  const raw = { completed: true, score: -5, time: 90000, rank: 'A' };
+  await menu.render({ levelInProgress: false, externalLevelResults: raw });
+  
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].raw, raw);
+  assert.deepEqual(reports[0].problems.map(problem => problem.field), ['score']);
+});
+
+test('results left on the prop after an abort are not counted', async (t) => {
+  const menu = mountMenu(t, { audio: false });
+  const stale = { completed: true, score: 9000, time: 60000, rank: 'S' };
+  
+  await startMission(menu);
+  await menu.render({ levelInProgress: true, externalLevelResults: stale });
+  await act(async () => { menu.ref.current.abortMission(); });
+  const recordsAfterAbort = await menu.storage.get('levelRecords');
+  
+  await menu.render({ levelInProgress: false, externalLevelResults: stale });
+  
+  assert.ok(!document.body.textContent.includes('MISSION COMPLETE'));
+  assert.ok(byText('button', 'Launch Mission'), 'back on the briefing');
+  assert.deepEqual(await menu.storage.get('levelRecords'), recordsAfterAbort);
+});
+
+test('the pause input does nothing once the mission was aborted', async (t) => {
+  const pauses = [];
+  const menu = mountMenu(t, { audio: false, onPauseChange: open => pauses.push(open) });
+  
+  await startMission(menu);
+  await act(async () => { menu.ref.current.abortMission(); });
+  await menu.render({ levelInProgress: true });
+  await press('Escape');
+  
+  assert.deepEqual(pauses, []);
+  assert.ok(!document.body.textContent.includes('PAUSED'));
+});
+
+test('a results object is used once, even across a new launch', async (t) => {
+  const launches = [];
+  const menu = mountMenu(t, { audio: false, onStartLevel: levelId => launches.push(levelId) });
+  const cleared = { completed: true, score: 500, time: 60000, rank: 'B' };
+  
+  await startMission(menu);
+  await menu.render({ levelInProgress: false, externalLevelResults: cleared });
+  await click(byText('button', 'Continue'));
+  await click(byText('button', 'Continue'));
+  await click(byText('[role="button"]', 'METEO'));
+  await click(byText('button', 'Launch Mission'));
+  await menu.render({ levelInProgress: true, externalLevelResults: cleared });
+  
+  // The host ends the level without reporting new results
+  await menu.render({ levelInProgress: false, externalLevelResults: cleared });
+  
+  assert.deepEqual(launches, ['1', '2a']);
+  assert.ok(!document.body.textContent.includes('MISSION COMPLETE'));
+  assert.equal((await menu.storage.get('levelRecords')).levels['2a'], undefined);
+});
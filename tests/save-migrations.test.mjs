@@ -0,0 +1,122 @@
+/**
+ * save-migrations.test.mjs
+ *
+ * Level renames reaching every record that stores a level id: the slots,
+ * the level records and the run history, on load and on import.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryStorage,
+  createLevelRenameMigration,
+  registerSaveMigration,
+  getSaveSchemaVersion,
+  loadGameProgress,
+  loadLevelRecords,
+  loadRunHistory,
+  loadBossRushTimes,
+  loadHighScores,
+  exportSaveData,
+  parseSaveData,
+  importSaveData,
+  CAMPAIGN_DATA,
+} from '../StarfoxMenuSystem.jsx';
+
+// Records as they were saved before the rename, one version back
+const renameVersion = getSaveSchemaVersion() + 1;
+const oldVersion = renameVersion - 1;
+registerSaveMigration(renameVersion, createLevelRenameMigration({ '2a': 'meteo' }));
+
+// The export's checksum, recomputed after editing a file's data
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const mission = (levelId) => ({ levelId, score: 100, time: '1:00', rank: 'B', completed: true });
+
+const seedOldSave = async () => {
+  const storage = createMemoryStorage();
+  await storage.put({
+    id: 'slot-1',
+    slotId: 1,
+    schemaVersion: oldVersion,
+    currentLevel: '2a',
+    completedLevels: ['1', '2a'],
+    missions: [mission('1'), mission('2a')],
+    interruptions: { '2a': { aborted: 1, restarted: 0 } },
+  });
+  await storage.put({
+    id: 'levelRecords',
+    schemaVersion: oldVersion,
+    levels: { '1': { bestScore: 100 }, '2a': { bestScore: 200 } },
+  });
+  await storage.put({
+    id: 'runHistory',
+    schemaVersion: oldVersion,
+    runs: [{ id: 'run-1', outcome: 'completed', path: ['1', '2a'], missions: [mission('1'), mission('2a')] }],
+  });
+  await storage.put({ id: 'bossRushTimes', schemaVersion: oldVersion, times: [{ totalSeconds: 300, stageSeconds: [150, 150] }] });
+  await storage.put({ id: 'highScores', schemaVersion: oldVersion, tables: { 'campaign:normal': [{ initials: 'FOX', score: 900 }] } });
+  return storage;
+};
+
+test('a slot has its current level, path, missions and interruptions renamed', async () => {
+  const progress = await loadGameProgress(1, await seedOldSave());
+
+  assert.equal(progress.currentLevel, 'meteo');
+  assert.deepEqual(progress.completedLevels, ['1', 'meteo']);
+  assert.deepEqual(progress.missions.map(entry => entry.levelId), ['1', 'meteo']);
+  assert.deepEqual(Object.keys(progress.interruptions), ['meteo']);
+  assert.equal(progress.schemaVersion, renameVersion);
+});
+
+test('level records are re-keyed by the new level id', async () => {
+  const levels = await loadLevelRecords(await seedOldSave());
+  assert.deepEqual(levels, { '1': { bestScore: 100 }, meteo: { bestScore: 200 } });
+});
+
+test('archived runs have their path and missions renamed', async () => {
+  const [run] = await loadRunHistory(await seedOldSave());
+  assert.deepEqual(run.path, ['1', 'meteo']);
+  assert.deepEqual(run.missions.map(entry => entry.levelId), ['1', 'meteo']);
+});
+
+test('Boss Rush times and high scores come through unchanged', async () => {
+  const storage = await seedOldSave();
+  assert.deepEqual(await loadBossRushTimes(storage), [{ totalSeconds: 300, stageSeconds: [150, 150] }]);
+  assert.deepEqual(await loadHighScores(storage), { 'campaign:normal': [{ initials: 'FOX', score: 900 }] });
+});
+
+test('an imported file is renamed in its slots and stats', async () => {
+  const exported = await exportSaveData(await seedOldSave());
+
+  // Make it look like the file predates the rename
+  const data = {
+    ...exported.data,
+    slots: exported.data.slots.map(record => ({ ...record, schemaVersion: oldVersion, currentLevel: '2a' })),
+    stats: exported.data.stats.map(record => (record.id === 'levelRecords'
+      ? { id: record.id, schemaVersion: oldVersion, levels: { '2a': { bestScore: 200 } } }
+      : record)),
+  };
+  const file = { ...exported, schemaVersion: oldVersion, data, checksum: fnv1a(JSON.stringify(data)) };
+
+  // Validated against the campaign as it is after the rename
+  const { '2a': meteo, ...levels } = CAMPAIGN_DATA.levels;
+  const campaign = { ...CAMPAIGN_DATA, levels: { ...levels, meteo: { ...meteo, id: 'meteo' } } };
+  const parsed = parseSaveData(JSON.stringify(file), { campaign });
+  assert.deepEqual(parsed.errors, []);
+
+  const target = createMemoryStorage();
+  await importSaveData(parsed.data, target);
+  assert.equal((await loadGameProgress(1, target)).currentLevel, 'meteo');
+  assert.deepEqual(Object.keys(await loadLevelRecords(target)), ['meteo']);
+  assert.equal((await target.get('levelRecords')).schemaVersion, renameVersion);
+});
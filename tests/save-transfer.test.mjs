@@ -0,0 +1,86 @@
+/**
+ * save-transfer.test.mjs
+ * 
+ * Export / import round trips and the checks that keep a crafted save file
+ * from writing anything but slots, options and known stats records.
+ * 
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryStorage,
+  saveGameProgress,
+  recordLevelResult,
+  exportSaveData,
+  parseSaveData,
+  validateSaveData,
+  importSaveData,
+  getSaveSchemaVersion,
+} from '../StarfoxMenuSystem.jsx';
+
+const slot = { slotId: 1, currentLevel: '1', completedLevels: [], selectedWingmen: [], totalScore: 0 };
+
+test('an export round-trips through parse and import', async () => {
+  const source = createMemoryStorage();
+  await saveGameProgress({ currentLevel: '2a', completedLevels: ['1'], totalScore: 500 }, 1, source);
+  await recordLevelResult('1', { completed: true, score: 500, rank: 'B' }, source);
+  
+  const { data, errors } = parseSaveData(JSON.stringify(await exportSaveData(source)));
+  assert.deepEqual(errors, []);
+  
+  const target = createMemoryStorage();
+  await importSaveData(data, target);
+  assert.equal((await target.get('slot-1')).currentLevel, '2a');
+  assert.equal((await target.get('levelRecords')).levels['1'].bestScore, 500);
+});
+
+test('stats records with unknown ids or the wrong shape are rejected', () => {
+  const errors = validateSaveData({
+    slots: [slot],
+    stats: [
+      { id: 'settings', options: { masterVolume: 0 } },
+      { id: 'slot-2', currentLevel: '5' },
+      { id: 'anything' },
+      { id: 'runHistory', runs: 'lots' },
+      { id: 'levelRecords', levels: {} },
+    ],
+  });
+  assert.equal(errors.length, 4);
+});
+
+test('import writes only known stats records and only their data field', async () => {
+  const storage = createMemoryStorage();
+  await importSaveData({
+    slots: [slot],
+    options: null,
+    stats: [
+      { id: 'settings', options: { masterVolume: 0 } },
+      { id: 'slot-2', currentLevel: '5' },
+      { id: 'highScores', tables: {}, extra: 'ignored' },
+    ],
+  }, storage);
+  
+  const ids = (await storage.getAll()).map(record => record.id).sort();
+  assert.deepEqual(ids, ['highScores', 'slot-1']);
+  assert.deepEqual(await storage.get('highScores'), { id: 'highScores', tables: {}, schemaVersion: getSaveSchemaVersion() });
+});
+
+test('import problems come back as codes with params', () => {
+  assert.deepEqual(parseSaveData('not json').errors.map(error => error.code), ['NOT_JSON']);
+  
+  const [error] = validateSaveData({ slots: [{ ...slot, slotId: 2, currentLevel: '9' }] });
+  assert.equal(error.code, 'UNKNOWN_CURRENT_LEVEL');
+  assert.deepEqual(error.params, { slot: '2', level: '9' });
+});
+
+test('import keeps only the known fields of a slot', async () => {
+  const storage = createMemoryStorage();
+  await importSaveData({ slots: [{ ...slot, isAdmin: true, id: 'settings' }], options: null }, storage);
+  
+  const stored = await storage.get('slot-1');
+  assert.equal(stored.isAdmin, undefined);
+  assert.equal(stored.currentLevel, '1');
+  assert.deepEqual((await storage.getAll()).map(record => record.id), ['slot-1']);
+});
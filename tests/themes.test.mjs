@@ -0,0 +1,27 @@
+/**
+ * themes.test.mjs
+ * 
+ * Theme presets: each one colours everything the N64 preset does, level
+ * medals included.
+ * 
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THEME_PRESETS, getLevelMedal } from '../StarfoxMenuSystem.jsx';
+
+test('every preset defines every palette colour', () => {
+  const keys = Object.keys(THEME_PRESETS.n64.palette).sort();
+  Object.entries(THEME_PRESETS).forEach(([name, preset]) => {
+    assert.deepEqual(Object.keys(preset.palette).sort(), keys, name);
+  });
+});
+
+test('medals are named by best rank and coloured by the theme', () => {
+  assert.deepEqual(['S', 'A', 'B', 'C'].map(bestRank => getLevelMedal({ bestRank })), ['gold', 'silver', 'bronze', null]);
+  
+  const colours = Object.values(THEME_PRESETS).map(preset => ['gold', 'silver', 'bronze'].map(medal => preset.palette[medal]));
+  colours.forEach(set => set.forEach(colour => assert.match(colour, /^#[0-9a-f]{6}$/i)));
+  assert.notDeepEqual(colours[0], colours[1]);
+});